@@ -11,6 +11,7 @@ const fileLoadingIndicator = document.getElementById('fileLoadingIndicator');
 const filterStatus = document.getElementById('filterStatus');
 const filterStatusLabel = filterStatus ? filterStatus.querySelector('span') : null;
 const filterPills = Array.from(document.querySelectorAll('.filter-pill'));
+const tagPillsContainer = document.getElementById('tagPills');
 
 const statElements = {
     uploads: document.getElementById('statUploads'),
@@ -62,6 +63,7 @@ const fileTypes = {
 let cdnFiles = [];
 let filteredFiles = [];
 let currentFilter = 'all';
+let currentTag = '';
 let currentSearch = '';
 let nextPageToken = null;
 let totalRemoteFiles = 0;
@@ -128,6 +130,35 @@ function handleFilterChange(pill) {
     scheduleFilesFetch(true);
 }
 
+function handleTagChange(pill) {
+    if (!pill || pill.disabled) return;
+    // Clicking the active tag again clears it
+    currentTag = pill.dataset.tag === currentTag ? '' : pill.dataset.tag || '';
+    tagPillsContainer.querySelectorAll('.tag-pill').forEach((button) => {
+        button.classList.toggle('active', button.dataset.tag === currentTag);
+    });
+    showFilterLoadingState(currentTag ? `Filtering by #${currentTag}...` : 'Filtering assets...');
+    scheduleFilesFetch(true);
+}
+
+function renderTagPills(tags) {
+    if (!tagPillsContainer) return;
+    const list = Array.isArray(tags) ? tags : [];
+    tagPillsContainer.hidden = !list.length;
+    tagPillsContainer.innerHTML = list
+        .map((tag) => `
+            <button type="button" class="filter-pill tag-pill${tag.name === currentTag ? ' active' : ''}" data-tag="${escapeHtml(tag.name)}">
+                <i class="ri-price-tag-3-line"></i>
+                ${escapeHtml(tag.name)}
+                <span class="tag-count">${numberFormatter.format(tag.count)}</span>
+            </button>
+        `)
+        .join('');
+    tagPillsContainer.querySelectorAll('.tag-pill').forEach((pill) => {
+        pill.addEventListener('click', () => handleTagChange(pill));
+    });
+}
+
 function showFilterLoadingState(message = 'Filtering assets...') {
     if (!filterStatus) return;
     isFilterFetchPending = true;
@@ -136,7 +167,7 @@ function showFilterLoadingState(message = 'Filtering assets...') {
     if (filterStatusLabel) {
         filterStatusLabel.textContent = message;
     }
-    filterPills.forEach((pill) => {
+    document.querySelectorAll('.filter-pill').forEach((pill) => {
         pill.disabled = true;
         pill.classList.add('pending');
     });
@@ -147,7 +178,7 @@ function hideFilterLoadingState() {
     isFilterFetchPending = false;
     filterStatus.hidden = true;
     filterStatus.classList.remove('active');
-    filterPills.forEach((pill) => {
+    document.querySelectorAll('.filter-pill').forEach((pill) => {
         pill.disabled = false;
         pill.classList.remove('pending');
     });
@@ -219,6 +250,7 @@ function updateSummaryUI(data) {
     }
 
     const files = data.files || {};
+    renderTagPills(files.tags);
     const totalFiles = typeof files.totalFiles === 'number' ? files.totalFiles : null;
     setStatValue(statElements.totalFiles, totalFiles);
     setStatValue(heroElements.assets, totalFiles);
@@ -403,6 +435,9 @@ async function fetchFiles({ reset = false, force = false } = {}) {
     if (currentFilter !== 'all') {
         params.set('type', currentFilter);
     }
+    if (currentTag) {
+        params.set('tag', currentTag);
+    }
 
     try {
         const response = await fetch(`/api/dashboard/files?${params.toString()}`);
@@ -454,7 +489,7 @@ function renderFiles() {
     if (!fileGrid) return;
 
     if (!filteredFiles.length) {
-        const hasFilters = currentFilter !== 'all' || Boolean(currentSearch);
+        const hasFilters = currentFilter !== 'all' || Boolean(currentSearch) || Boolean(currentTag);
         const shouldShowLoading = isAwaitingRemoteUpdate || (isLoadingFiles && !hasCompletedInitialLoad);
         if (shouldShowLoading) {
             const loaderTitle = hasFilters ? 'Applying filters' : 'Loading assets';
@@ -590,6 +625,17 @@ function openFileModal(fileId) {
     const preview = file.thumbnailUrl
         ? `<div class="file-detail-preview"><img src="${escapeHtml(file.thumbnailUrl)}" alt="${escapeHtml(file.name)} preview" /></div>`
         : `<div class="file-detail-preview"><div class="file-icon ${fileType.class} large"><i class="${fileType.icon}"></i></div></div>`;
+    const tags = Array.isArray(file.tags) ? file.tags : [];
+    const properties = Object.entries(file.properties || {});
+    const labelsSection = tags.length || properties.length
+        ? `<div class="detail-section">
+                <h4><i class="ri-price-tag-3-line"></i>Tags</h4>
+                <div class="file-detail-meta">
+                    ${tags.map((tag) => `<span class="meta-item">#${escapeHtml(tag)}</span>`).join('')}
+                    ${properties.map(([key, value]) => `<span class="meta-item">${escapeHtml(key)}: ${escapeHtml(value)}</span>`).join('')}
+                </div>
+            </div>`
+        : '';
     modalTitle.textContent = file.name;
     modalBody.innerHTML = `
         <div class="file-detail-header">
@@ -621,6 +667,7 @@ function openFileModal(fileId) {
                     </button>
                 </div>
             </div>
+            ${labelsSection}
         </div>
     `;
     modalBody.querySelectorAll('.copy-btn').forEach((button) => button.addEventListener('click', handleCopyUrl));
@@ -0,0 +1,186 @@
+// Copyright (c) 2025 tas33n
+const DENY_TYPES = ['json', 'image', 'redirect'];
+const DEFAULT_DENY = Object.freeze({ type: 'json', url: '', status: 403 });
+
+let cachedSource = null;
+let cachedRules = null;
+
+// ACCESS_RULES is JSON: { "global": <rule>, "folders": { "<folderId>": <rule> } }.
+// A folder rule replaces the matching categories of the global rule for files directly inside it.
+export function parseAccessRules(raw) {
+	if (!raw) return null;
+	const source = typeof raw === 'string' ? raw : JSON.stringify(raw);
+	if (source === cachedSource) {
+		return cachedRules;
+	}
+	let parsed = null;
+	try {
+		const value = typeof raw === 'string' ? JSON.parse(raw) : raw;
+		if (value && typeof value === 'object') {
+			parsed = {
+				global: normalizeRule(value.global),
+				folders: Object.fromEntries(Object.entries(value.folders || {}).map(([id, rule]) => [id, normalizeRule(rule)])),
+			};
+		}
+	} catch (error) {
+		console.warn('Failed to parse ACCESS_RULES value:', error);
+	}
+	cachedSource = source;
+	cachedRules = parsed;
+	return parsed;
+}
+
+export function resolveRule(rules, parents = []) {
+	if (!rules) return null;
+	const folderId = (parents || []).find((id) => rules.folders[id]);
+	const folderRule = folderId ? rules.folders[folderId] : null;
+	if (!rules.global && !folderRule) return null;
+	const merged = { ...(rules.global || {}) };
+	Object.entries(folderRule || {}).forEach(([key, value]) => {
+		if (value) merged[key] = value;
+	});
+	merged.deny = merged.deny || DEFAULT_DENY;
+	return merged;
+}
+
+// Returns null when the request may proceed, otherwise `{ reason, deny }`.
+export function evaluateAccess(rule, request) {
+	if (!rule) return null;
+	const checks = [
+		['referer', rule.referers, requestHost(request), matchHost, rule.referers?.allowEmpty !== false],
+		['country', rule.countries, request.cf?.country || '', (value, pattern) => value.toUpperCase() === pattern.toUpperCase(), false],
+		['ip', rule.ips, request.headers.get('CF-Connecting-IP') || '', ipInCidr, false],
+		['user_agent', rule.userAgents, request.headers.get('User-Agent') || '', matchUserAgent, false],
+	];
+	for (const [reason, list, value, matcher, allowMissing] of checks) {
+		if (!list) continue;
+		if (!value) {
+			if (allowMissing || !list.allow.length) continue;
+			return { reason, deny: rule.deny };
+		}
+		if (list.deny.some((pattern) => matcher(value, pattern))) {
+			return { reason, deny: rule.deny };
+		}
+		if (list.allow.length && !list.allow.some((pattern) => matcher(value, pattern))) {
+			return { reason, deny: rule.deny };
+		}
+	}
+	return null;
+}
+
+function normalizeRule(rule) {
+	if (!rule || typeof rule !== 'object') return null;
+	return {
+		referers: normalizeList(rule.referers),
+		countries: normalizeList(rule.countries),
+		ips: normalizeList(rule.ips),
+		userAgents: normalizeList(rule.userAgents),
+		deny: normalizeDeny(rule.deny),
+	};
+}
+
+function normalizeDeny(deny) {
+	if (!deny || typeof deny !== 'object') return null;
+	return {
+		type: DENY_TYPES.includes(deny.type) ? deny.type : DEFAULT_DENY.type,
+		url: typeof deny.url === 'string' ? deny.url : '',
+		status: Number.isInteger(deny.status) ? deny.status : DEFAULT_DENY.status,
+	};
+}
+
+// Lists are either a plain allowlist array or `{ allow: [], deny: [] }`.
+function normalizeList(value) {
+	if (!value) return null;
+	if (Array.isArray(value)) {
+		return { allow: value.map(String), deny: [] };
+	}
+	return {
+		allow: Array.isArray(value.allow) ? value.allow.map(String) : [],
+		deny: Array.isArray(value.deny) ? value.deny.map(String) : [],
+		allowEmpty: value.allowEmpty,
+	};
+}
+
+function requestHost(request) {
+	const source = request.headers.get('Referer') || request.headers.get('Origin');
+	if (!source) return '';
+	try {
+		return new URL(source).hostname.toLowerCase();
+	} catch {
+		return '';
+	}
+}
+
+// `example.com` matches only itself, `*.example.com` matches any subdomain.
+function matchHost(host, pattern) {
+	const normalized = pattern.toLowerCase();
+	if (normalized.startsWith('*.')) {
+		return host.endsWith(normalized.slice(1));
+	}
+	return host === normalized;
+}
+
+// Patterns written as `/regex/flags` are regular expressions, anything else is a case-insensitive substring.
+function matchUserAgent(userAgent, pattern) {
+	const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+	if (regex) {
+		try {
+			return new RegExp(regex[1], regex[2]).test(userAgent);
+		} catch {
+			return false;
+		}
+	}
+	return userAgent.toLowerCase().includes(pattern.toLowerCase());
+}
+
+export function ipInCidr(ip, cidr) {
+	const [range, bitsRaw] = cidr.split('/');
+	const address = parseIp(ip);
+	const network = parseIp(range);
+	if (!address || !network || address.length !== network.length) return false;
+	const totalBits = address.length * 8;
+	const bits = bitsRaw === undefined ? totalBits : parseInt(bitsRaw, 10);
+	if (!Number.isInteger(bits) || bits < 0 || bits > totalBits) return false;
+	for (let i = 0; i < address.length; i++) {
+		const remaining = bits - i * 8;
+		if (remaining <= 0) break;
+		const mask = remaining >= 8 ? 0xff : (0xff << (8 - remaining)) & 0xff;
+		if ((address[i] & mask) !== (network[i] & mask)) return false;
+	}
+	return true;
+}
+
+function parseIp(value = '') {
+	const ip = value.trim();
+	if (ip.includes(':')) {
+		return parseIpv6(ip);
+	}
+	const parts = ip.split('.');
+	if (parts.length !== 4) return null;
+	const bytes = parts.map((part) => (/^\d{1,3}$/.test(part) ? parseInt(part, 10) : NaN));
+	return bytes.every((byte) => byte >= 0 && byte <= 255) ? bytes : null;
+}
+
+function parseIpv6(ip) {
+	let address = ip;
+	// Embedded IPv4 (e.g. ::ffff:1.2.3.4) becomes two hex groups
+	const lastColon = address.lastIndexOf(':');
+	const suffix = address.slice(lastColon + 1);
+	if (suffix.includes('.')) {
+		const ipv4 = parseIp(suffix);
+		if (!ipv4) return null;
+		const high = ((ipv4[0] << 8) | ipv4[1]).toString(16);
+		const low = ((ipv4[2] << 8) | ipv4[3]).toString(16);
+		address = `${address.slice(0, lastColon + 1)}${high}:${low}`;
+	}
+	const halves = address.split('::');
+	if (halves.length > 2) return null;
+	const headParts = halves[0] ? halves[0].split(':') : [];
+	const restParts = halves[1] ? halves[1].split(':') : [];
+	const missing = 8 - headParts.length - restParts.length;
+	if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+	const groups = [...headParts, ...Array(halves.length === 1 ? 0 : missing).fill('0'), ...restParts];
+	const words = groups.map((part) => (/^[0-9a-f]{1,4}$/i.test(part) ? parseInt(part, 16) : NaN));
+	if (words.some(Number.isNaN)) return null;
+	return words.flatMap((word) => [word >> 8, word & 0xff]);
+}
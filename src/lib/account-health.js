@@ -0,0 +1,244 @@
+// Copyright (c) 2025 tas33n
+// One KV key per account, so isolates flushing different accounts never overwrite each other.
+// The state is mirrored into the key's metadata so a single list call reads every account.
+const HEALTH_KEY_PREFIX = 'health:';
+const SNAPSHOT_TTL_MS = 30 * 1000;
+const FLUSH_INTERVAL_MS = 15 * 1000;
+const COOLDOWN_MS = {
+	userRateLimitExceeded: 60 * 1000,
+	rateLimitExceeded: 60 * 1000,
+	dailyLimitExceeded: 60 * 60 * 1000,
+	storageQuotaExceeded: 6 * 60 * 60 * 1000,
+	token_exchange_failed: 5 * 60 * 1000,
+};
+const DEFAULT_COOLDOWN_MS = 60 * 1000;
+
+// Isolate-wide view shared by every DriveClient created in this isolate. Counters are batched
+// in `pending` and merged into KV at most every FLUSH_INTERVAL_MS; failures flush right away so
+// other isolates stop picking a cooling account quickly.
+let snapshot = null;
+let snapshotLoadedAt = 0;
+let lastFlushAt = 0;
+let flushing = null;
+const pending = new Map();
+
+export class AccountHealth {
+	constructor(store) {
+		this.store = store || null;
+	}
+
+	async load() {
+		if (snapshot && Date.now() - snapshotLoadedAt < SNAPSHOT_TTL_MS) {
+			return snapshot;
+		}
+		snapshot = await this.readStored();
+		snapshotLoadedAt = Date.now();
+		return snapshot;
+	}
+
+	state(email) {
+		const base = normalizeDay({ ...emptyState(), ...(snapshot?.[email] || {}) });
+		const delta = pending.get(email);
+		return delta ? applyDelta(base, delta) : base;
+	}
+
+	isAvailable(email, now = Date.now()) {
+		const state = this.state(email);
+		return !state.disabled && !(state.cooldownUntil && state.cooldownUntil > now);
+	}
+
+	// Weighted random choice favouring accounts that served fewer requests today. Random
+	// rather than strict LRU so isolates reading the same snapshot do not all pile onto one account.
+	pick(accounts, exclude = []) {
+		const now = Date.now();
+		const candidates = accounts
+			.map((account, index) => ({ index, email: account.client_email || `account-${index}` }))
+			.filter((candidate) => !exclude.includes(candidate.index) && this.isAvailable(candidate.email, now));
+		if (!candidates.length) {
+			return null;
+		}
+		const loads = candidates.map((candidate) => this.state(candidate.email).requests);
+		const busiest = Math.max(...loads);
+		const weights = loads.map((load) => busiest - load + 1);
+		let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+		for (let i = 0; i < candidates.length; i++) {
+			roll -= weights[i];
+			if (roll < 0) {
+				return candidates[i].index;
+			}
+		}
+		return candidates[candidates.length - 1].index;
+	}
+
+	recordSuccess(email, bytes = 0) {
+		const delta = pendingFor(email);
+		delta.requests += 1;
+		delta.bytes += bytes;
+		delta.lastUsedAt = Date.now();
+		return this.flush();
+	}
+
+	recordFailure(email, reason, message = '') {
+		const delta = pendingFor(email);
+		const now = Date.now();
+		delta.lastUsedAt = now;
+		delta.lastError = `${reason || 'error'}${message ? `: ${message}` : ''}`.slice(0, 300);
+		delta.lastErrorAt = now;
+		delta.cooldownUntil = now + (COOLDOWN_MS[reason] || DEFAULT_COOLDOWN_MS);
+		return this.flush(true);
+	}
+
+	async flush(force = false) {
+		if (!this.store || !pending.size) return;
+		if (flushing) return flushing;
+		if (!force && Date.now() - lastFlushAt < FLUSH_INTERVAL_MS) return;
+		const batch = new Map(pending);
+		pending.clear();
+		lastFlushAt = Date.now();
+		flushing = (async () => {
+			try {
+				await Promise.all(
+					[...batch].map(async ([email, delta]) => {
+						try {
+							const state = applyDelta(await this.readState(email), delta);
+							await this.writeState(email, state);
+							snapshot = { ...snapshot, [email]: state };
+						} catch (error) {
+							console.warn(`Failed to persist health of ${email}:`, error);
+							// Keep the counters for the next flush
+							mergeDelta(pendingFor(email), delta);
+						}
+					}),
+				);
+			} finally {
+				flushing = null;
+			}
+		})();
+		return flushing;
+	}
+
+	async setDisabled(email, disabled) {
+		if (!this.store) {
+			throw new Error('Account health requires the STATS KV namespace');
+		}
+		const state = { ...(await this.readState(email)), disabled };
+		if (!disabled) {
+			state.cooldownUntil = null;
+		}
+		await this.writeState(email, state);
+		snapshot = { ...snapshot, [email]: state };
+		return state;
+	}
+
+	describe(accounts) {
+		const now = Date.now();
+		return accounts.map((account, index) => {
+			const email = account.client_email || `account-${index}`;
+			const state = this.state(email);
+			let status = 'active';
+			if (state.disabled) status = 'disabled';
+			else if (state.cooldownUntil && state.cooldownUntil > now) status = 'cooling_down';
+			return {
+				index,
+				email,
+				status,
+				disabled: state.disabled,
+				cooldownUntil: state.cooldownUntil && state.cooldownUntil > now ? new Date(state.cooldownUntil).toISOString() : null,
+				lastError: state.lastError,
+				lastErrorAt: state.lastErrorAt ? new Date(state.lastErrorAt).toISOString() : null,
+				lastUsedAt: state.lastUsedAt ? new Date(state.lastUsedAt).toISOString() : null,
+				requestsToday: state.requests,
+				bytesToday: state.bytes,
+			};
+		});
+	}
+
+	async readStored() {
+		if (!this.store) return {};
+		try {
+			const states = {};
+			let cursor;
+			do {
+				const page = await this.store.list({ prefix: HEALTH_KEY_PREFIX, cursor });
+				for (const key of page.keys) {
+					if (key.metadata) states[key.name.slice(HEALTH_KEY_PREFIX.length)] = key.metadata;
+				}
+				cursor = page.list_complete ? null : page.cursor;
+			} while (cursor);
+			return states;
+		} catch (error) {
+			console.warn('Failed to read service account health:', error);
+			return {};
+		}
+	}
+
+	// The account's own key rather than the list snapshot, which may be a few seconds old
+	async readState(email) {
+		const stored = await this.store.get(`${HEALTH_KEY_PREFIX}${email}`, 'json');
+		return normalizeDay({ ...emptyState(), ...(stored || {}) });
+	}
+
+	async writeState(email, state) {
+		await this.store.put(`${HEALTH_KEY_PREFIX}${email}`, JSON.stringify(state), { metadata: state });
+	}
+}
+
+function emptyState() {
+	return {
+		day: today(),
+		requests: 0,
+		bytes: 0,
+		lastUsedAt: null,
+		lastError: null,
+		lastErrorAt: null,
+		cooldownUntil: null,
+		disabled: false,
+	};
+}
+
+function pendingFor(email) {
+	if (!pending.has(email)) {
+		pending.set(email, { day: today(), requests: 0, bytes: 0, lastUsedAt: null, lastError: null, lastErrorAt: null, cooldownUntil: null });
+	}
+	return pending.get(email);
+}
+
+function mergeDelta(target, delta) {
+	if (target.day !== delta.day) return;
+	target.requests += delta.requests;
+	target.bytes += delta.bytes;
+	target.lastUsedAt = Math.max(target.lastUsedAt || 0, delta.lastUsedAt || 0) || null;
+	if (delta.lastErrorAt && delta.lastErrorAt >= (target.lastErrorAt || 0)) {
+		target.lastError = delta.lastError;
+		target.lastErrorAt = delta.lastErrorAt;
+		target.cooldownUntil = delta.cooldownUntil;
+	}
+}
+
+function applyDelta(state, delta) {
+	const next = { ...state };
+	if (delta.day === next.day) {
+		next.requests += delta.requests;
+		next.bytes += delta.bytes;
+	}
+	next.lastUsedAt = Math.max(next.lastUsedAt || 0, delta.lastUsedAt || 0) || null;
+	if (delta.lastErrorAt && delta.lastErrorAt >= (next.lastErrorAt || 0)) {
+		next.lastError = delta.lastError;
+		next.lastErrorAt = delta.lastErrorAt;
+		next.cooldownUntil = Math.max(next.cooldownUntil || 0, delta.cooldownUntil || 0) || null;
+	}
+	return next;
+}
+
+// Daily counters reset at UTC midnight
+function normalizeDay(state) {
+	const day = today();
+	if (state.day !== day) {
+		return { ...state, day, requests: 0, bytes: 0 };
+	}
+	return state;
+}
+
+function today() {
+	return new Date().toISOString().slice(0, 10);
+}
@@ -1,9 +1,35 @@
 // Copyright (c) 2025 tas33n
+import { TokenCache } from './token-cache.js';
+
 const DRIVE_SCOPE = 'https://www.googleapis.com/auth/drive';
 const TOKEN_ENDPOINT = 'https://oauth2.googleapis.com/token';
+const BATCH_ENDPOINT = 'https://www.googleapis.com/batch/drive/v3';
+// Drive rejects batches with more than 100 calls
+const BATCH_MAX_CALLS = 100;
 const MAX_LIST_PAGE_SIZE = 100;
 const COUNT_PAGE_SIZE = 1000;
 const FILE_COUNT_MAX_PAGES = 20;
+const DEFAULT_RETRY_POLICY = {
+  attempts: 4,
+  baseDelayMs: 250,
+  maxDelayMs: 8000,
+  timeoutMs: 30000,
+};
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const DEFAULT_METADATA_FIELDS =
+  'id,name,size,mimeType,md5Checksum,webViewLink,createdTime,modifiedTime,appProperties,parents,description,starred';
+export const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const FOLDER_FIELDS = 'id,name,mimeType,parents,createdTime,modifiedTime,description,appProperties';
+const CHILD_FIELDS = 'id,name,mimeType,size,parents,md5Checksum,createdTime,modifiedTime,description,appProperties';
+// Quota errors tied to the calling identity; another service account may still have headroom
+const ACCOUNT_QUOTA_REASONS = ['userRateLimitExceeded', 'rateLimitExceeded', 'dailyLimitExceeded', 'storageQuotaExceeded'];
+// Sort keys accepted by the files API; Drive sorts by size through `quotaBytesUsed`
+export const LIST_ORDER_FIELDS = {
+  name: 'name',
+  createdTime: 'createdTime',
+  modifiedTime: 'modifiedTime',
+  size: 'quotaBytesUsed',
+};
 const TYPE_FILTERS = {
   images: [`mimeType contains 'image/'`],
   video: [`mimeType contains 'video/'`],
@@ -34,13 +60,98 @@ const TYPE_FILTERS = {
     `mimeType = 'application/json'`,
   ],
 };
+export const LIST_TYPES = Object.keys(TYPE_FILTERS);
+
+// Google error reasons mapped to the HTTP status and stable error code clients see
+const DRIVE_ERROR_REASONS = {
+  notFound: { status: 404, code: 'file_not_found' },
+  userRateLimitExceeded: { status: 429, code: 'drive_rate_limited', retryAfter: 30 },
+  rateLimitExceeded: { status: 429, code: 'drive_rate_limited', retryAfter: 30 },
+  sharingRateLimitExceeded: { status: 429, code: 'drive_rate_limited', retryAfter: 30 },
+  dailyLimitExceeded: { status: 429, code: 'drive_daily_limit_exceeded', retryAfter: 3600 },
+  downloadQuotaExceeded: { status: 429, code: 'download_quota_exceeded', retryAfter: 3600 },
+  storageQuotaExceeded: { status: 507, code: 'storage_quota_exceeded' },
+  teamDriveFileLimitExceeded: { status: 507, code: 'storage_quota_exceeded' },
+  forbidden: { status: 403, code: 'drive_permission_denied' },
+  insufficientFilePermissions: { status: 403, code: 'drive_permission_denied' },
+  appNotAuthorizedToFile: { status: 403, code: 'drive_permission_denied' },
+  cannotDownloadAbusiveFile: { status: 403, code: 'drive_abusive_file' },
+};
+const DRIVE_ERROR_STATUSES = {
+  400: { status: 400, code: 'drive_bad_request' },
+  408: { status: 504, code: 'drive_timeout' },
+  401: { status: 502, code: 'drive_auth_failed' },
+  403: { status: 403, code: 'drive_permission_denied' },
+  404: { status: 404, code: 'file_not_found' },
+  416: { status: 416, code: 'range_not_satisfiable' },
+  429: { status: 429, code: 'drive_rate_limited', retryAfter: 30 },
+};
+export const DRIVE_ERROR_CODES = [
+  ...new Set([
+    ...Object.values(DRIVE_ERROR_REASONS).map((entry) => entry.code),
+    ...Object.values(DRIVE_ERROR_STATUSES).map((entry) => entry.code),
+    'drive_unavailable',
+    'upload_session_expired',
+  ]),
+];
+
+export class DriveError extends Error {
+  constructor(message, { status = 502, code = 'drive_unavailable', reason = null, upstreamStatus = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'DriveError';
+    this.status = status;
+    this.code = code;
+    this.reason = reason;
+    this.upstreamStatus = upstreamStatus;
+    this.retryAfter = retryAfter;
+  }
+
+  static async fromResponse(response, context = 'Drive request failed') {
+    let text = '';
+    try {
+      text = await response.text();
+    } catch {
+      // body already consumed or unavailable
+    }
+    return DriveError.fromBody(response.status, text, response.headers.get('Retry-After'), context);
+  }
+
+  static fromBody(upstreamStatus, text, retryAfterHeader, context = 'Drive request failed') {
+    let reason = null;
+    let message = '';
+    try {
+      const parsed = JSON.parse(text);
+      reason = parsed?.error?.errors?.[0]?.reason || null;
+      message = parsed?.error?.message || '';
+    } catch {
+      message = (text || '').slice(0, 200);
+    }
+    const mapped =
+      DRIVE_ERROR_REASONS[reason] ||
+      DRIVE_ERROR_STATUSES[upstreamStatus] ||
+      { status: 502, code: 'drive_unavailable', retryAfter: upstreamStatus >= 500 ? 5 : null };
+    const headerRetry = parseInt(retryAfterHeader || '', 10);
+    return new DriveError(`${context}: ${upstreamStatus}${message ? ` ${message}` : ''}`, {
+      status: mapped.status,
+      code: mapped.code,
+      reason,
+      upstreamStatus,
+      retryAfter: Number.isFinite(headerRetry) ? headerRetry : mapped.retryAfter || null,
+    });
+  }
+}
 
 // Cache for bundled service accounts (loaded lazily)
 let bundledServiceAccountsCache = null;
 let bundledServiceAccountsPromise = null;
+// IDs from files.generateIds, shared by the isolate so most uploads skip the extra round trip
+const RESERVED_ID_BATCH = 20;
+const RESERVED_ID_TTL_MS = 60 * 60 * 1000;
+let reservedIds = [];
+let reservedIdsAt = 0;
 
 export class DriveClient {
-  constructor(env = {}) {
+  constructor(env = {}, options = {}) {
     this.clientId = env.GOOGLE_CLIENT_ID;
     this.clientSecret = env.GOOGLE_CLIENT_SECRET;
     this.refreshToken = env.GOOGLE_REFRESH_TOKEN;
@@ -50,19 +161,31 @@ export class DriveClient {
     this.serviceAccounts = [];
     this.currentServiceAccountIndex = 0;
     this.accountsLoaded = false;
+    this.accountSelected = false;
+
+    // Optional AccountHealth tracker shared across requests, plus ctx.waitUntil for its KV writes
+    this.health = options.health || null;
+    this.waitUntil = options.waitUntil || null;
+    this.tokenCache = options.tokenCache || new TokenCache({ waitUntil: this.waitUntil });
     
+    this.retryPolicy = {
+      attempts: positiveInt(env.DRIVE_RETRY_ATTEMPTS, DEFAULT_RETRY_POLICY.attempts),
+      baseDelayMs: positiveInt(env.DRIVE_RETRY_BASE_DELAY_MS, DEFAULT_RETRY_POLICY.baseDelayMs),
+      maxDelayMs: positiveInt(env.DRIVE_RETRY_MAX_DELAY_MS, DEFAULT_RETRY_POLICY.maxDelayMs),
+      timeoutMs: positiveInt(env.DRIVE_REQUEST_TIMEOUT_MS, DEFAULT_RETRY_POLICY.timeoutMs),
+    };
+
     this.parents = (env.DRIVE_UPLOAD_ROOT || '')
       .split(',')
       .map((id) => id.trim())
       .filter(Boolean);
-    this.cachedTokens = new Map();
   }
 
-  buildParentsQuery() {
-    if (!this.parents.length) {
+  buildParentsQuery(parents = this.parents) {
+    if (!parents.length) {
       return '';
     }
-    const clauses = this.parents.map((parentId) => `'${parentId}' in parents`);
+    const clauses = parents.map((parentId) => `'${escapeQueryValue(parentId)}' in parents`);
     return clauses.length === 1 ? clauses[0] : `(${clauses.join(' or ')})`;
   }
 
@@ -177,7 +300,44 @@ export class DriveClient {
 
   rotateServiceAccount() {
     if (this.serviceAccounts.length > 1) {
-      this.currentServiceAccountIndex = (this.currentServiceAccountIndex + 1) % this.serviceAccounts.length;
+      const healthy = this.health ? this.health.pick(this.serviceAccounts, [this.currentServiceAccountIndex]) : null;
+      this.currentServiceAccountIndex = healthy ?? (this.currentServiceAccountIndex + 1) % this.serviceAccounts.length;
+    }
+  }
+
+  // Start each request on a healthy, lightly used account instead of always index 0
+  async selectServiceAccount() {
+    if (this.accountSelected) {
+      return;
+    }
+    this.accountSelected = true;
+    if (!this.health || this.serviceAccounts.length < 2) {
+      return;
+    }
+    await this.health.load();
+    const index = this.health.pick(this.serviceAccounts);
+    if (index !== null) {
+      this.currentServiceAccountIndex = index;
+    }
+  }
+
+  recordAccountSuccess(response) {
+    if (!this.health || !this.getCurrentServiceAccount()) return;
+    const bytes = Number(response.headers.get('Content-Length')) || 0;
+    this.keepAlive(this.health.recordSuccess(this.currentAccountKey(), bytes));
+  }
+
+  recordAccountFailure(reason, message) {
+    if (!this.health || !this.getCurrentServiceAccount()) return;
+    this.keepAlive(this.health.recordFailure(this.currentAccountKey(), reason, message));
+  }
+
+  keepAlive(promise) {
+    if (!promise) return;
+    if (this.waitUntil) {
+      this.waitUntil(promise);
+    } else {
+      promise.catch(() => {});
     }
   }
 
@@ -186,9 +346,11 @@ export class DriveClient {
       throw new Error('uploadMultipart requires a File object');
     }
     const meta = {
+      id: metadata.id,
       name: metadata.name || file.name,
       description: metadata.description,
       parents: metadata.parents && metadata.parents.length ? metadata.parents : this.parents,
+      appProperties: metadata.appProperties,
     };
     const form = new FormData();
     form.append('metadata', new Blob([JSON.stringify(meta)], { type: 'application/json' }));
@@ -198,27 +360,46 @@ export class DriveClient {
       {
         method: 'POST',
         body: form,
+        idempotent: Boolean(meta.id),
       },
     );
   }
 
-  async createResumableSession({ name, parents, mimeType, size, description }) {
+  async createResumableSession({ id, name, parents, mimeType, size, description, appProperties }) {
     const body = JSON.stringify({
+      id,
       name,
       description,
       parents: parents && parents.length ? parents : this.parents,
+      appProperties,
     });
+    return this.startResumableUpload(
+      'https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable&supportsAllDrives=true',
+      'POST',
+      body,
+      { id, mimeType, size, idempotent: Boolean(id) },
+    );
+  }
+
+  // Resumable session that uploads a new revision of an existing file (files.update)
+  async createRevisionSession(id, { mimeType, size, keepRevisionForever = false } = {}) {
+    return this.startResumableUpload(
+      `https://www.googleapis.com/upload/drive/v3/files/${id}?uploadType=resumable&supportsAllDrives=true&keepRevisionForever=${keepRevisionForever}`,
+      'PATCH',
+      JSON.stringify(mimeType ? { mimeType } : {}),
+      { id, mimeType, size },
+    );
+  }
+
+  async startResumableUpload(url, method, body, { id, mimeType, size, idempotent }) {
     const headers = {
       'Content-Type': 'application/json; charset=utf-8',
       'X-Upload-Content-Type': mimeType || 'application/octet-stream',
     };
     if (size) headers['X-Upload-Content-Length'] = size.toString();
-    const response = await this.fetchRaw(
-      'https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable&supportsAllDrives=true',
-      { method: 'POST', headers, body },
-    );
+    const response = await this.fetchRaw(url, { method, headers, body, idempotent });
     if (!response.ok) {
-      throw new Error(`Failed to create resumable upload: ${response.status}`);
+      throw await DriveError.fromResponse(response, 'Failed to create resumable upload');
     }
     const uploadUrl = response.headers.get('location');
     let payload = {};
@@ -235,39 +416,252 @@ export class DriveClient {
     }
     return {
       uploadUrl,
-      uploadId: payload.id,
-      fileId: payload.id,
+      uploadId: payload.id || id,
+      fileId: payload.id || id,
+    };
+  }
+
+  async generateIds(count = 1) {
+    const payload = await this.fetchJson(
+      `https://www.googleapis.com/drive/v3/files/generateIds?count=${count}&space=drive&type=files`,
+    );
+    return payload.ids || [];
+  }
+
+  // Unused reservations are simply dropped; Drive does not need them released
+  async reserveFileId() {
+    if (Date.now() - reservedIdsAt > RESERVED_ID_TTL_MS) {
+      reservedIds = [];
+    }
+    if (!reservedIds.length) {
+      reservedIds = await this.generateIds(RESERVED_ID_BATCH);
+      reservedIdsAt = Date.now();
+    }
+    const id = reservedIds.shift();
+    if (!id) {
+      throw new DriveError('Drive did not return a reserved file ID', { status: 502, code: 'drive_unavailable' });
+    }
+    return id;
+  }
+
+  // Chunks go straight to the resumable session URL, which is its own credential
+  async uploadChunk(uploadUrl, { body, start, end, total, length }) {
+    const size = Number.isFinite(total) ? total : '*';
+    const headers = {
+      'Content-Length': String(length),
+      'Content-Range': length > 0 ? `bytes ${start}-${end}/${size}` : `bytes */${size}`,
     };
+    const response = await fetch(uploadUrl, {
+      method: 'PUT',
+      headers,
+      body: length > 0 ? withFixedLength(body, length) : null,
+    });
+    return parseUploadProgress(response);
+  }
+
+  async getUploadStatus(uploadUrl, total) {
+    return this.uploadChunk(uploadUrl, { body: null, length: 0, total });
   }
 
-  async getMetadata(id, fields = 'id,name,size,mimeType,md5Checksum,webViewLink,createdTime,modifiedTime') {
+  async cancelUpload(uploadUrl) {
+    const response = await fetch(uploadUrl, { method: 'DELETE' });
+    response.body?.cancel();
+    // Google answers 499 once a session is cancelled and 404 when it is already gone
+    return response.status === 499 || response.status === 404 || response.ok;
+  }
+
+  async getMetadata(id, fields = DEFAULT_METADATA_FIELDS) {
     return this.fetchJson(
       `https://www.googleapis.com/drive/v3/files/${id}?supportsAllDrives=true&fields=${encodeURIComponent(fields)}`,
     );
   }
 
+  // `changes` holds files.update body fields; parents move through query parameters as Drive requires
+  async updateMetadata(id, changes = {}, { addParents = [], removeParents = [], fields = DEFAULT_METADATA_FIELDS } = {}) {
+    const params = new URLSearchParams({ supportsAllDrives: 'true', fields });
+    if (addParents.length) params.set('addParents', addParents.join(','));
+    if (removeParents.length) params.set('removeParents', removeParents.join(','));
+    return this.fetchJson(`https://www.googleapis.com/drive/v3/files/${id}?${params}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json; charset=utf-8' },
+      body: JSON.stringify(changes),
+    });
+  }
+
+  async createFolder({ name, parents, description, appProperties }) {
+    return this.fetchJson(
+      `https://www.googleapis.com/drive/v3/files?supportsAllDrives=true&fields=${encodeURIComponent(FOLDER_FIELDS)}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+        body: JSON.stringify({
+          name,
+          mimeType: FOLDER_MIME_TYPE,
+          parents: parents && parents.length ? parents : this.parents,
+          description,
+          appProperties,
+        }),
+      },
+    );
+  }
+
+  // Direct children of a folder, subfolders first
+  async listChildren(folderId, { pageSize = MAX_LIST_PAGE_SIZE, pageToken, foldersOnly = false, nameContains } = {}) {
+    const queryParts = [`'${escapeQueryValue(folderId)}' in parents`, 'trashed = false'];
+    if (foldersOnly) {
+      queryParts.push(`mimeType = '${FOLDER_MIME_TYPE}'`);
+    }
+    if (nameContains) {
+      queryParts.push(`name contains '${escapeQueryValue(nameContains)}'`);
+    }
+    const params = new URLSearchParams({
+      pageSize: String(Math.min(Math.max(pageSize || 1, 1), COUNT_PAGE_SIZE)),
+      orderBy: 'folder,name',
+      supportsAllDrives: 'true',
+      includeItemsFromAllDrives: 'true',
+      fields: `nextPageToken,files(${CHILD_FIELDS})`,
+      q: queryParts.join(' and '),
+    });
+    if (pageToken) {
+      params.set('pageToken', pageToken);
+    }
+    return this.fetchJson(`https://www.googleapis.com/drive/v3/files?${params.toString()}`);
+  }
+
+  // Newest non-trashed child with exactly this name; `folder` narrows it to folders (true) or files (false)
+  async findChild(parentId, name, { folder } = {}) {
+    const queryParts = [`'${escapeQueryValue(parentId)}' in parents`, `name = '${escapeQueryValue(name)}'`, 'trashed = false'];
+    if (folder === true) {
+      queryParts.push(`mimeType = '${FOLDER_MIME_TYPE}'`);
+    } else if (folder === false) {
+      queryParts.push(`mimeType != '${FOLDER_MIME_TYPE}'`);
+    }
+    const params = new URLSearchParams({
+      pageSize: '1',
+      orderBy: 'createdTime desc',
+      supportsAllDrives: 'true',
+      includeItemsFromAllDrives: 'true',
+      fields: `files(${CHILD_FIELDS})`,
+      q: queryParts.join(' and '),
+    });
+    const response = await this.fetchJson(`https://www.googleapis.com/drive/v3/files?${params.toString()}`);
+    return response.files?.[0] || null;
+  }
+
   async deleteFile(id) {
     await this.fetchJson(`https://www.googleapis.com/drive/v3/files/${id}?supportsAllDrives=true`, {
       method: 'DELETE',
     });
   }
 
-  async streamFile(id, rangeHeader, method = 'GET') {
-    const headers = {
-      Authorization: `Bearer ${await this.getAccessToken()}`,
-    };
+  async batchGetMetadata(ids, fields = DEFAULT_METADATA_FIELDS) {
+    return this.batch(ids.map((id) => ({ method: 'GET', path: `files/${encodeURIComponent(id)}`, params: { supportsAllDrives: 'true', fields } })));
+  }
+
+  // `updates` holds `{ id, changes, addParents, removeParents }`, as for updateMetadata
+  async batchUpdateMetadata(updates, fields = DEFAULT_METADATA_FIELDS) {
+    return this.batch(
+      updates.map(({ id, changes = {}, addParents = [], removeParents = [] }) => {
+        const params = { supportsAllDrives: 'true', fields };
+        if (addParents.length) params.addParents = addParents.join(',');
+        if (removeParents.length) params.removeParents = removeParents.join(',');
+        return { method: 'PATCH', path: `files/${encodeURIComponent(id)}`, params, body: changes };
+      }),
+    );
+  }
+
+  async batchDelete(ids) {
+    return this.batch(ids.map((id) => ({ method: 'DELETE', path: `files/${encodeURIComponent(id)}`, params: { supportsAllDrives: 'true' } })));
+  }
+
+  // Runs `{ method, path, params, body }` calls against /drive/v3 through the multipart/mixed batch
+  // endpoint, BATCH_MAX_CALLS per request. Returns `{ data }` or `{ error }` (a DriveError) per call in
+  // order; only a failure of the whole batch is thrown.
+  async batch(calls) {
+    const results = [];
+    for (let start = 0; start < calls.length; start += BATCH_MAX_CALLS) {
+      results.push(...(await this.sendBatch(calls.slice(start, start + BATCH_MAX_CALLS))));
+    }
+    return results;
+  }
+
+  async sendBatch(calls) {
+    const boundary = `batch_${crypto.randomUUID().replace(/-/g, '')}`;
+    const parts = calls.map((call, index) => {
+      const query = new URLSearchParams(call.params || {}).toString();
+      const lines = [
+        `--${boundary}`,
+        'Content-Type: application/http',
+        `Content-ID: <item${index}>`,
+        '',
+        `${call.method} /drive/v3/${call.path}${query ? `?${query}` : ''}`,
+      ];
+      if (call.body !== undefined) {
+        lines.push('Content-Type: application/json; charset=UTF-8', '', JSON.stringify(call.body));
+      } else {
+        lines.push('');
+      }
+      return `${lines.join('\r\n')}\r\n`;
+    });
+    // The parts are reads, updates and deletes, which are safe to send again
+    const response = await this.fetchRaw(BATCH_ENDPOINT, {
+      method: 'POST',
+      idempotent: true,
+      headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+      body: `${parts.join('')}--${boundary}--\r\n`,
+    });
+    if (!response.ok) {
+      throw await DriveError.fromResponse(response, 'Drive batch request failed');
+    }
+    return parseBatchResponse(response.headers.get('Content-Type'), await response.text(), calls.length);
+  }
+
+  // Uploads new content for an existing file in one request; Drive keeps the previous revision
+  async updateContent(id, file, { mimeType, keepRevisionForever = false } = {}) {
+    const fields = `${DEFAULT_METADATA_FIELDS},headRevisionId`;
+    return this.fetchJson(
+      `https://www.googleapis.com/upload/drive/v3/files/${id}?uploadType=media&supportsAllDrives=true&keepRevisionForever=${keepRevisionForever}&fields=${encodeURIComponent(fields)}`,
+      {
+        method: 'PATCH',
+        headers: { 'Content-Type': mimeType || file.type || 'application/octet-stream' },
+        body: file,
+      },
+    );
+  }
+
+  async listRevisions(id, { pageSize = 100, pageToken } = {}) {
+    const params = new URLSearchParams({
+      pageSize: String(Math.min(pageSize, 1000)),
+      fields: 'nextPageToken,revisions(id,mimeType,modifiedTime,size,md5Checksum,keepForever,originalFilename)',
+    });
+    if (pageToken) params.set('pageToken', pageToken);
+    return this.fetchJson(`https://www.googleapis.com/drive/v3/files/${id}/revisions?${params}`);
+  }
+
+  async getRevision(id, revisionId) {
+    const fields = 'id,mimeType,modifiedTime,size,md5Checksum,keepForever,originalFilename';
+    return this.fetchJson(
+      `https://www.googleapis.com/drive/v3/files/${id}/revisions/${encodeURIComponent(revisionId)}?fields=${encodeURIComponent(fields)}`,
+    );
+  }
+
+  async streamFile(id, rangeHeader, method = 'GET', revisionId = null) {
+    const headers = { Accept: '*/*' };
     if (rangeHeader) {
       headers.Range = rangeHeader;
     }
-    const response = await fetch(
-      `https://www.googleapis.com/drive/v3/files/${id}?alt=media&supportsAllDrives=true`,
+    const source = revisionId
+      ? `https://www.googleapis.com/drive/v3/files/${id}/revisions/${encodeURIComponent(revisionId)}?alt=media`
+      : `https://www.googleapis.com/drive/v3/files/${id}?alt=media&supportsAllDrives=true`;
+    const response = await this.fetchRaw(
+      source,
       {
         method: method === 'HEAD' ? 'HEAD' : 'GET',
         headers,
       },
     );
     if (!response.ok && response.status !== 206) {
-      throw new Error(`Unable to stream file ${id}: ${response.status}`);
+      throw await DriveError.fromResponse(response, `Unable to stream file ${id}`);
     }
     const proxiedHeaders = new Headers(response.headers);
     proxiedHeaders.set('Access-Control-Allow-Origin', '*');
@@ -281,12 +675,16 @@ export class DriveClient {
     });
   }
 
+  // `parents` replaces the DRIVE_UPLOAD_ROOT scope; see buildListFilterClauses for the filters.
   async listFiles(options = {}) {
-    const { pageSize = 24, pageToken, search, type } = options;
+    const { pageSize = 24, pageToken, search, type, parents, orderBy = 'modifiedTime desc' } = options;
     const params = new URLSearchParams();
     const safeSize = Math.min(Math.max(pageSize || 24, 1), MAX_LIST_PAGE_SIZE);
     params.set('pageSize', String(safeSize));
-    params.set('orderBy', 'modifiedTime desc');
+    // Drive rejects a sort order on full-text queries; those come back by relevance
+    if (!options.fullText) {
+      params.set('orderBy', orderBy);
+    }
     params.set('supportsAllDrives', 'true');
     params.set('includeItemsFromAllDrives', 'true');
     params.set('spaces', 'drive');
@@ -294,7 +692,7 @@ export class DriveClient {
       'fields',
       [
         'nextPageToken',
-        'files(id,name,mimeType,size,description,modifiedTime,createdTime,thumbnailLink,iconLink,webViewLink,webContentLink,md5Checksum,hasThumbnail)',
+        'files(id,name,mimeType,size,description,modifiedTime,createdTime,thumbnailLink,iconLink,webViewLink,webContentLink,md5Checksum,hasThumbnail,parents,appProperties)',
       ].join(','),
     );
     if (pageToken) {
@@ -302,7 +700,7 @@ export class DriveClient {
     }
 
     const queryParts = ['trashed = false'];
-    const parentsClause = this.buildParentsQuery();
+    const parentsClause = this.buildParentsQuery(parents);
     if (parentsClause) {
       queryParts.push(parentsClause);
     }
@@ -314,6 +712,7 @@ export class DriveClient {
     if (typeClause) {
       queryParts.push(typeClause);
     }
+    queryParts.push(...buildListFilterClauses(options));
     params.set('q', queryParts.join(' and '));
 
     return this.fetchJson(`https://www.googleapis.com/drive/v3/files?${params.toString()}`);
@@ -328,15 +727,16 @@ export class DriveClient {
     return this.fetchJson(`https://www.googleapis.com/drive/v3/about?${params.toString()}`);
   }
 
+  // With `tagPrefix`, also tallies the appProperties keys starting with it into `tags`.
   async countFiles(options = {}) {
-    const { maxPages = FILE_COUNT_MAX_PAGES } = options;
+    const { maxPages = FILE_COUNT_MAX_PAGES, tagPrefix } = options;
     const queryParts = ['trashed = false'];
     const parentsClause = this.buildParentsQuery();
     if (parentsClause) {
       queryParts.push(parentsClause);
     }
     const params = new URLSearchParams({
-      fields: 'nextPageToken,files(mimeType)',
+      fields: tagPrefix ? 'nextPageToken,files(mimeType,appProperties)' : 'nextPageToken,files(mimeType)',
       pageSize: String(COUNT_PAGE_SIZE),
       supportsAllDrives: 'true',
       includeItemsFromAllDrives: 'true',
@@ -347,6 +747,7 @@ export class DriveClient {
     let nextPageToken;
     let totalFiles = 0;
     let folderCount = 0;
+    const tags = {};
     let page = 0;
     do {
       if (nextPageToken) {
@@ -358,6 +759,16 @@ export class DriveClient {
       const files = response.files || [];
       totalFiles += files.length;
       folderCount += files.filter((item) => item.mimeType === 'application/vnd.google-apps.folder').length;
+      if (tagPrefix) {
+        for (const item of files) {
+          for (const key of Object.keys(item.appProperties || {})) {
+            if (key.startsWith(tagPrefix)) {
+              const tag = key.slice(tagPrefix.length);
+              tags[tag] = (tags[tag] || 0) + 1;
+            }
+          }
+        }
+      }
       nextPageToken = response.nextPageToken;
       page += 1;
       if (!nextPageToken) {
@@ -368,6 +779,7 @@ export class DriveClient {
     return {
       totalFiles,
       folderCount,
+      tags,
       complete: !nextPageToken,
     };
   }
@@ -378,49 +790,162 @@ export class DriveClient {
       return {};
     }
     if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Drive request failed: ${response.status} ${errorText}`);
+      throw await DriveError.fromResponse(response);
     }
     return response.json();
   }
 
-  async fetchRaw(url, init = {}) {
-    const headers = new Headers(init.headers || {});
-    headers.set('Authorization', `Bearer ${await this.getAccessToken()}`);
-    if (!headers.has('Accept')) {
-      headers.set('Accept', 'application/json');
+  // Retries transient failures with exponential backoff and full jitter. Per-account quota
+  // errors switch to the next service account instead of waiting. Streamed bodies cannot be
+  // replayed, so those requests get a single attempt. POSTs create something unless they carry
+  // a reserved ID, so a 5xx or timeout may already have been committed: they are only retried
+  // after responses that rejected the request outright (401, 429 and quota 403s).
+  async fetchRaw(url, { idempotent, ...init } = {}) {
+    const { attempts, baseDelayMs, maxDelayMs, timeoutMs } = this.retryPolicy;
+    const maxAttempts = isReplayableBody(init.body) ? attempts : 1;
+    const repeatable = idempotent ?? (init.method || 'GET').toUpperCase() !== 'POST';
+    for (let attempt = 1; ; attempt++) {
+      const headers = new Headers(init.headers || {});
+      headers.set('Authorization', `Bearer ${await this.getAccessToken()}`);
+      if (!headers.has('Accept')) {
+        headers.set('Accept', 'application/json');
+      }
+      let response;
+      try {
+        response = await fetchWithTimeout(url, { ...init, headers }, timeoutMs);
+      } catch (error) {
+        if (attempt >= maxAttempts || !repeatable) {
+          throw error instanceof DriveError
+            ? error
+            : new DriveError(`Drive request failed: ${error.message}`, { status: 502, code: 'drive_unavailable' });
+        }
+        await sleep(backoffDelay(attempt, baseDelayMs, maxDelayMs));
+        continue;
+      }
+      if (attempt >= maxAttempts) {
+        return this.settleResponse(response);
+      }
+      const decision = await this.classifyRetry(response);
+      if (!decision.retry || (!repeatable && response.status >= 500)) {
+        return this.settleResponse(response);
+      }
+      let delay = 0;
+      if (decision.failover) {
+        console.warn(`Drive ${response.status} (${decision.reason || 'quota'}) on ${this.currentAccountKey()}, switching account`);
+        this.recordAccountFailure(decision.reason || `http_${response.status}`);
+        this.rotateServiceAccount();
+      } else {
+        const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+        if (retryAfterMs !== null && retryAfterMs > maxDelayMs) {
+          return response;
+        }
+        delay = retryAfterMs ?? backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      }
+      response.body?.cancel();
+      await sleep(delay);
+    }
+  }
+
+  settleResponse(response) {
+    if (response.ok) {
+      this.recordAccountSuccess(response);
+    }
+    return response;
+  }
+
+  async classifyRetry(response) {
+    if (response.status === 401) {
+      // Token revoked or expired early: drop it and mint a new one
+      await this.tokenCache.invalidate(this.currentAccountKey());
+      return { retry: true, failover: false };
+    }
+    if (response.status !== 403 && !RETRYABLE_STATUSES.includes(response.status)) {
+      return { retry: false };
+    }
+    let reason = null;
+    if (response.status === 403 || response.status === 429) {
+      try {
+        const parsed = JSON.parse(await response.clone().text());
+        reason = parsed?.error?.errors?.[0]?.reason || null;
+      } catch {
+        // non-JSON error body
+      }
+    }
+    const canFailover = this.serviceAccounts.length > 1;
+    if (response.status === 403) {
+      if (!ACCOUNT_QUOTA_REASONS.includes(reason)) {
+        return { retry: false };
+      }
+      // Storage is only freed by another account; waiting does not help
+      if (reason === 'storageQuotaExceeded' && !canFailover) {
+        return { retry: false };
+      }
+      return { retry: true, failover: canFailover, reason };
+    }
+    return { retry: true, failover: response.status === 429 && canFailover, reason };
+  }
+
+  currentAccountKey() {
+    const serviceAccount = this.getCurrentServiceAccount();
+    return serviceAccount ? serviceAccount.client_email || 'default' : 'oauth';
+  }
+
+  // Mints tokens ahead of requests for every enabled service account, or the OAuth client when
+  // there are none. Returns `{ account, expiresAt }` or `{ account, error }` per credential.
+  async warmAccessTokens(minRemainingMs) {
+    await this.loadServiceAccounts();
+    if (!this.serviceAccounts.length) {
+      if (!this.clientId || !this.clientSecret || !this.refreshToken) {
+        return [];
+      }
+      const mint = () =>
+        refreshUserToken({
+          clientId: this.clientId,
+          clientSecret: this.clientSecret,
+          refreshToken: this.refreshToken,
+        });
+      return [await warmToken('oauth', () => this.tokenCache.warm('oauth', mint, minRemainingMs))];
+    }
+    if (this.health) {
+      await this.health.load();
+    }
+    const results = [];
+    // One account at a time keeps the token endpoint from seeing a burst of exchanges
+    for (const serviceAccount of this.serviceAccounts) {
+      const accountKey = serviceAccount.client_email || 'default';
+      if (this.health?.state(accountKey).disabled) {
+        results.push({ account: accountKey, skipped: 'disabled' });
+        continue;
+      }
+      const mint = () => fetchServiceAccountToken(serviceAccount);
+      const result = await warmToken(accountKey, () => this.tokenCache.warm(accountKey, mint, minRemainingMs));
+      if (result.error && this.health) {
+        this.keepAlive(this.health.recordFailure(accountKey, 'token_exchange_failed', result.error));
+      }
+      results.push(result);
     }
-    return fetch(url, { ...init, headers });
+    return results;
   }
 
-  async getAccessToken() {
+  async getAccessToken(attempt = 0) {
     // Ensure service accounts are loaded
     await this.loadServiceAccounts();
+    await this.selectServiceAccount();
     
     const serviceAccount = this.getCurrentServiceAccount();
     
     // Use service account if available, otherwise fall back to OAuth refresh token
     if (serviceAccount) {
       const accountKey = serviceAccount.client_email || 'default';
-      const cached = this.cachedTokens.get(accountKey);
-      
-      if (cached && cached.expiresAt > Date.now() + 60000) {
-        return cached.token;
-      }
-      
       try {
-        const tokenData = await fetchServiceAccountToken(serviceAccount);
-        this.cachedTokens.set(accountKey, {
-          token: tokenData.access_token,
-          expiresAt: Date.now() + (tokenData.expires_in || 3600) * 1000,
-        });
-        return tokenData.access_token;
+        return await this.tokenCache.get(accountKey, () => fetchServiceAccountToken(serviceAccount));
       } catch (error) {
         console.error(`Service account ${accountKey} failed, rotating...`, error);
+        this.recordAccountFailure('token_exchange_failed', error.message);
         this.rotateServiceAccount();
-        // Retry with next service account
-        if (this.serviceAccounts.length > 1) {
-          return this.getAccessToken();
+        // Retry with next service account, giving each account one chance
+        if (attempt + 1 < this.serviceAccounts.length) {
+          return this.getAccessToken(attempt + 1);
         }
         throw error;
       }
@@ -431,24 +956,123 @@ export class DriveClient {
       throw new Error('No authentication method available. Configure service accounts or OAuth credentials.');
     }
     
-    const cached = this.cachedTokens.get('oauth');
-    if (cached && cached.expiresAt > Date.now() + 60000) {
-      return cached.token;
+    return this.tokenCache.get('oauth', () =>
+      refreshUserToken({
+        clientId: this.clientId,
+        clientSecret: this.clientSecret,
+        refreshToken: this.refreshToken,
+      }),
+    );
+  }
+}
+
+async function parseUploadProgress(response) {
+  if (response.status === 308) {
+    response.body?.cancel();
+    const match = /bytes=0-(\d+)/.exec(response.headers.get('Range') || '');
+    return { complete: false, offset: match ? Number(match[1]) + 1 : 0 };
+  }
+  if (response.ok) {
+    const text = await response.text();
+    let file = {};
+    try {
+      file = text ? JSON.parse(text) : {};
+    } catch {
+      console.warn('Unexpected resumable upload payload');
     }
-    
-    const tokenData = await refreshUserToken({
-      clientId: this.clientId,
-      clientSecret: this.clientSecret,
-      refreshToken: this.refreshToken,
-    });
-    
-    this.cachedTokens.set('oauth', {
-      token: tokenData.access_token,
-      expiresAt: Date.now() + (tokenData.expires_in || 3600) * 1000,
+    return { complete: true, file };
+  }
+  if (response.status === 404 || response.status === 410) {
+    response.body?.cancel();
+    throw new DriveError('Upload session is no longer available on Google Drive', {
+      status: 410,
+      code: 'upload_session_expired',
+      upstreamStatus: response.status,
     });
-    
-    return tokenData.access_token;
   }
+  throw await DriveError.fromResponse(response, 'Resumable upload failed');
+}
+
+// Matches each part of a multipart/mixed batch reply to its call through the Content-ID
+function parseBatchResponse(contentType, text, count) {
+  const results = Array.from({ length: count }, () => ({
+    error: new DriveError('Drive batch reply is missing this call', { status: 502, code: 'drive_unavailable' }),
+  }));
+  const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!boundary) {
+    return results;
+  }
+  for (const part of text.split(`--${boundary[1] || boundary[2]}`)) {
+    const contentId = /Content-ID:\s*<response-item(\d+)>/i.exec(part);
+    const statusLine = /HTTP\/[\d.]+ (\d{3})[^\r\n]*\r?\n/.exec(part);
+    if (!contentId || !statusLine || Number(contentId[1]) >= count) continue;
+    const rest = part.slice(statusLine.index + statusLine[0].length);
+    const headerEnd = rest.search(/\r?\n\r?\n/);
+    const headers = headerEnd === -1 ? rest : rest.slice(0, headerEnd);
+    const body = headerEnd === -1 ? '' : rest.slice(headerEnd).trim();
+    const status = Number(statusLine[1]);
+    if (status >= 200 && status < 300) {
+      results[Number(contentId[1])] = { data: body ? JSON.parse(body) : {} };
+    } else {
+      const retryAfter = /^Retry-After:\s*(\S+)/im.exec(headers);
+      results[Number(contentId[1])] = { error: DriveError.fromBody(status, body, retryAfter ? retryAfter[1] : null) };
+    }
+  }
+  return results;
+}
+
+// Google needs a Content-Length; FixedLengthStream lets Workers stream the body with one
+function withFixedLength(body, length) {
+  if (typeof FixedLengthStream === 'undefined' || !(body instanceof ReadableStream)) {
+    return body;
+  }
+  const { readable, writable } = new FixedLengthStream(length);
+  body.pipeTo(writable).catch(() => {});
+  return readable;
+}
+
+function positiveInt(value, fallback) {
+  const parsed = parseInt(value ?? '', 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function isReplayableBody(body) {
+  return !(typeof ReadableStream !== 'undefined' && body instanceof ReadableStream);
+}
+
+async function fetchWithTimeout(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new DriveError(`Drive request timed out after ${timeoutMs}ms`, { status: 504, code: 'drive_timeout' });
+    }
+    throw error;
+  } finally {
+    // Only the wait for response headers is bounded; streaming the body may take longer
+    clearTimeout(timer);
+  }
+}
+
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return ms > 0 ? new Promise((resolve) => setTimeout(resolve, ms)) : Promise.resolve();
 }
 
 function buildTypeClause(type) {
@@ -463,8 +1087,53 @@ function buildTypeClause(type) {
   return `(${filters.join(' or ')})`;
 }
 
+// Structured filters for listFiles. Dates are ISO strings (`after` inclusive, `before` exclusive),
+// `appProperties` is an object of exact key/value matches. Drive's `name contains` matches the start
+// of words in the name, so a strict prefix has to be checked again by the caller.
+function buildListFilterClauses(options = {}) {
+  const clauses = [];
+  const { mimeType, nameContains, fullText, appProperties } = options;
+  if (mimeType) {
+    clauses.push(
+      mimeType.endsWith('/*')
+        ? `mimeType contains '${escapeQueryValue(mimeType.slice(0, -1))}'`
+        : `mimeType = '${escapeQueryValue(mimeType)}'`,
+    );
+  }
+  if (nameContains) {
+    clauses.push(`name contains '${escapeQueryValue(nameContains)}'`);
+  }
+  if (fullText) {
+    clauses.push(`fullText contains '${escapeQueryValue(fullText)}'`);
+  }
+  const ranges = [
+    ['createdTime', '>=', options.createdAfter],
+    ['createdTime', '<', options.createdBefore],
+    ['modifiedTime', '>=', options.modifiedAfter],
+    ['modifiedTime', '<', options.modifiedBefore],
+  ];
+  for (const [field, operator, value] of ranges) {
+    if (value) {
+      clauses.push(`${field} ${operator} '${escapeQueryValue(value)}'`);
+    }
+  }
+  for (const [key, value] of Object.entries(appProperties || {})) {
+    clauses.push(`appProperties has { key='${escapeQueryValue(key)}' and value='${escapeQueryValue(value)}' }`);
+  }
+  return clauses;
+}
+
 function escapeQueryValue(value = '') {
-  return value.replace(/'/g, "\\'");
+  return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+async function warmToken(account, warm) {
+  try {
+    return { account, expiresAt: new Date(await warm()).toISOString() };
+  } catch (error) {
+    console.warn(`Token pre-warm for ${account} failed:`, error.message);
+    return { account, error: error.message };
+  }
 }
 
 async function refreshUserToken({ clientId, clientSecret, refreshToken }) {
@@ -0,0 +1,103 @@
+// Copyright (c) 2025 tas33n
+const CACHE_VERSION_PREFIX = 'edge_cache:version:';
+export const DEFAULT_EDGE_CACHE_TTL_SECONDS = 86400;
+export const DEFAULT_EDGE_CACHE_MAX_BYTES = 100 * 1024 * 1024;
+
+export function getEdgeCache() {
+	if (typeof caches === 'undefined' || !caches.default) {
+		return null;
+	}
+	return caches.default;
+}
+
+export function resolveEdgeCacheSettings(config = {}) {
+	const ttl = parseInt(config.EDGE_CACHE_TTL ?? '', 10);
+	const maxBytes = parseInt(config.EDGE_CACHE_MAX_BYTES ?? '', 10);
+	return {
+		ttlSeconds: Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_EDGE_CACHE_TTL_SECONDS,
+		maxBytes: Number.isFinite(maxBytes) && maxBytes >= 0 ? maxBytes : DEFAULT_EDGE_CACHE_MAX_BYTES,
+	};
+}
+
+// Cache API deletes only reach the local colo, so every key carries a per-file
+// version stored in KV. Bumping it orphans cached copies in all other locations.
+export async function buildCacheKey(env, fileUrl, id) {
+	const version = await getCacheVersion(env, id);
+	return version ? `${fileUrl}?v=${version}` : fileUrl;
+}
+
+export async function purgeCachedFile(env, fileUrl, id) {
+	const cache = getEdgeCache();
+	if (cache) {
+		try {
+			await cache.delete(await buildCacheKey(env, fileUrl, id));
+		} catch (error) {
+			console.warn(`Failed to delete cached copy of ${id}:`, error);
+		}
+	}
+	if (env?.STATS) {
+		const version = await getCacheVersion(env, id);
+		await env.STATS.put(`${CACHE_VERSION_PREFIX}${id}`, String(version + 1));
+	}
+}
+
+async function getCacheVersion(env, id) {
+	if (!env?.STATS) return 0;
+	try {
+		const stored = await env.STATS.get(`${CACHE_VERSION_PREFIX}${id}`);
+		return parseInt(stored || '0', 10) || 0;
+	} catch (error) {
+		console.warn('Failed to read edge cache version:', error);
+		return 0;
+	}
+}
+
+export function buildValidators(meta = {}) {
+	const etag = meta.md5Checksum ? `"${meta.md5Checksum}"` : null;
+	let lastModified = null;
+	if (meta.modifiedTime) {
+		const date = new Date(meta.modifiedTime);
+		if (!Number.isNaN(date.getTime())) {
+			lastModified = date.toUTCString();
+		}
+	}
+	return { etag, lastModified };
+}
+
+export function validatorsFromHeaders(headers) {
+	return {
+		etag: headers.get('ETag'),
+		lastModified: headers.get('Last-Modified'),
+	};
+}
+
+// RFC 9110 §13.2.2: If-None-Match wins over If-Modified-Since when both are present.
+export function isNotModified(request, { etag, lastModified }) {
+	const ifNoneMatch = request.headers.get('If-None-Match');
+	if (ifNoneMatch) {
+		if (!etag) return false;
+		if (ifNoneMatch.trim() === '*') return true;
+		const target = stripWeakPrefix(etag);
+		return ifNoneMatch.split(',').some((candidate) => stripWeakPrefix(candidate.trim()) === target);
+	}
+	const ifModifiedSince = request.headers.get('If-Modified-Since');
+	if (ifModifiedSince && lastModified) {
+		const since = Date.parse(ifModifiedSince);
+		const modified = Date.parse(lastModified);
+		if (Number.isNaN(since) || Number.isNaN(modified)) return false;
+		return modified <= since;
+	}
+	return false;
+}
+
+export function notModifiedResponse(validators, cacheControl) {
+	const headers = new Headers({ 'Access-Control-Allow-Origin': '*' });
+	if (validators.etag) headers.set('ETag', validators.etag);
+	if (validators.lastModified) headers.set('Last-Modified', validators.lastModified);
+	if (cacheControl) headers.set('Cache-Control', cacheControl);
+	return new Response(null, { status: 304, headers });
+}
+
+function stripWeakPrefix(tag) {
+	return tag.startsWith('W/') ? tag.slice(2) : tag;
+}
@@ -0,0 +1,110 @@
+// Copyright (c) 2025 tas33n
+import { FOLDER_MIME_TYPE } from './drive.js';
+
+export const DEFAULT_TREE_DEPTH = 3;
+export const MAX_TREE_DEPTH = 10;
+// Upper bound on items one tree listing or recursive delete enumerates
+export const MAX_TREE_ITEMS = 1000;
+// Parent chains are walked one Drive call per level; anything deeper is treated as outside the root
+const MAX_ANCESTRY_DEPTH = 32;
+
+export function isFolder(item) {
+	return item?.mimeType === FOLDER_MIME_TYPE;
+}
+
+// `root` is an alias; Drive reports the real ID in `parents`, so resolve it before comparing.
+export async function resolveFolderRoots(drive, roots) {
+	return Promise.all(roots.map(async (id) => (id === 'root' ? (await drive.getMetadata('root', 'id')).id : id)));
+}
+
+// Returns `root` when the item is one of the roots, `inside` for a descendant and `outside` otherwise.
+// An empty root list means the whole drive is in scope.
+export async function locateInRoots(drive, item, roots) {
+	if (roots.includes(item.id)) return 'root';
+	if (!roots.length) return 'inside';
+	let current = item;
+	for (let level = 0; level < MAX_ANCESTRY_DEPTH; level++) {
+		const parents = current.parents || [];
+		if (parents.some((id) => roots.includes(id))) return 'inside';
+		if (!parents.length) return 'outside';
+		current = await drive.getMetadata(parents[0], 'id,parents');
+	}
+	return 'outside';
+}
+
+// The items below one of the roots (or that are one). Folders already walked are remembered, so items
+// sharing an ancestor cost no further Drive calls; a parent that cannot be read counts as outside.
+export async function filterInRoots(drive, items, roots) {
+	if (!roots.length) return items;
+	const known = new Map(roots.map((id) => [id, true]));
+	const isInside = async (item) => {
+		const walked = [];
+		let parents = item.parents || [];
+		let inside = false;
+		for (let level = 0; level < MAX_ANCESTRY_DEPTH && parents.length; level++) {
+			const seen = parents.find((id) => known.has(id));
+			if (seen) {
+				inside = known.get(seen);
+				break;
+			}
+			walked.push(parents[0]);
+			parents = (await drive.getMetadata(parents[0], 'id,parents').catch(() => null))?.parents || [];
+		}
+		walked.forEach((id) => known.set(id, inside));
+		return inside;
+	};
+	const kept = [];
+	for (const item of items) {
+		if (roots.includes(item.id) || (await isInside(item))) kept.push(item);
+	}
+	return kept;
+}
+
+// Breadth-first walk below a folder, one folder at a time to keep Drive calls sequential.
+// Items carry their `depth` (1 for direct children); `complete` is false when a limit cut the walk short.
+export async function listDescendants(drive, folderId, { maxDepth = MAX_TREE_DEPTH, maxItems = MAX_TREE_ITEMS } = {}) {
+	const items = [];
+	const queue = [{ id: folderId, depth: 1 }];
+	let complete = true;
+	while (queue.length) {
+		const { id, depth } = queue.shift();
+		let pageToken;
+		do {
+			const page = await drive.listChildren(id, { pageToken });
+			for (const child of page.files || []) {
+				if (items.length >= maxItems) {
+					return { items, complete: false };
+				}
+				items.push({ ...child, depth });
+				if (isFolder(child)) {
+					if (depth < maxDepth) {
+						queue.push({ id: child.id, depth: depth + 1 });
+					} else {
+						complete = false;
+					}
+				}
+			}
+			pageToken = page.nextPageToken;
+		} while (pageToken);
+	}
+	return { items, complete };
+}
+
+// Nests a flat listDescendants result under `folder`. Folders past `maxDepth` get `children: null`.
+export function buildFolderTree(folder, items, { maxDepth = MAX_TREE_DEPTH, format = (item) => item } = {}) {
+	const root = { ...format(folder), children: [] };
+	const nodes = new Map([[folder.id, root]]);
+	for (const item of items) {
+		const { depth, ...rest } = item;
+		const node = format(rest);
+		if (isFolder(rest)) {
+			node.children = depth < maxDepth ? [] : null;
+			nodes.set(rest.id, node);
+		}
+		const parent = (rest.parents || []).map((id) => nodes.get(id)).find(Boolean);
+		if (parent?.children) {
+			parent.children.push(node);
+		}
+	}
+	return root;
+}
@@ -0,0 +1,100 @@
+// Copyright (c) 2025 tas33n
+// Tags and custom properties are stored as Drive appProperties under their own prefixes, so every tag
+// is an exact `appProperties has` match and neither can overwrite keys the worker manages.
+export const TAG_PROPERTY_PREFIX = 'tag.';
+export const CUSTOM_PROPERTY_PREFIX = 'prop.';
+const TAG_PROPERTY_VALUE = 'true';
+// Drive allows 30 private properties per file; the rest stays free for the worker's own keys
+export const MAX_TAGS = 15;
+export const MAX_CUSTOM_PROPERTIES = 10;
+// Drive caps each appProperties entry (key plus value) at 124 bytes
+export const MAX_APP_PROPERTY_BYTES = 124;
+const TAG_PATTERN = /^[a-z0-9_-]{1,64}$/;
+const PROPERTY_KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const encoder = new TextEncoder();
+
+export function appPropertyBytes(key, value) {
+	return encoder.encode(key).length + encoder.encode(value ?? '').length;
+}
+
+// Tags are case-insensitive and stored lowercase. Returns `{ tags }` or `{ error }`.
+export function parseTags(value) {
+	if (!Array.isArray(value)) {
+		return { error: '`tags` must be an array of strings' };
+	}
+	const tags = new Set();
+	for (const raw of value) {
+		const tag = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+		if (!TAG_PATTERN.test(tag)) {
+			return { error: 'Tags must be 1-64 characters of letters, digits, `-` and `_`' };
+		}
+		tags.add(tag);
+	}
+	if (tags.size > MAX_TAGS) {
+		return { error: `At most ${MAX_TAGS} tags per file` };
+	}
+	return { tags: [...tags] };
+}
+
+// `allowNull` lets PATCH remove a property. Returns `{ properties }` or `{ error }`.
+export function parseCustomProperties(value, { allowNull = false } = {}) {
+	if (!value || typeof value !== 'object' || Array.isArray(value)) {
+		return { error: '`properties` must be an object of strings' };
+	}
+	const entries = Object.entries(value);
+	if (entries.length > MAX_CUSTOM_PROPERTIES) {
+		return { error: `At most ${MAX_CUSTOM_PROPERTIES} properties per file` };
+	}
+	for (const [key, entry] of entries) {
+		if (!PROPERTY_KEY_PATTERN.test(key)) {
+			return { error: 'Property keys must be 1-64 characters of letters, digits, `-` and `_`' };
+		}
+		if (!(typeof entry === 'string' || (allowNull && entry === null))) {
+			return { error: `properties.${key} must be a string${allowNull ? ' or null' : ''}` };
+		}
+		if (appPropertyBytes(`${CUSTOM_PROPERTY_PREFIX}${key}`, entry) > MAX_APP_PROPERTY_BYTES) {
+			return { error: `properties.${key} exceeds ${MAX_APP_PROPERTY_BYTES} bytes including the ${CUSTOM_PROPERTY_PREFIX} key prefix` };
+		}
+	}
+	return { properties: value };
+}
+
+export function tagProperty(tag) {
+	return { [`${TAG_PROPERTY_PREFIX}${tag}`]: TAG_PROPERTY_VALUE };
+}
+
+// appProperties entries for a new file
+export function buildLabelProperties({ tags = [], properties = {} } = {}) {
+	const entries = {};
+	for (const tag of tags) {
+		Object.assign(entries, tagProperty(tag));
+	}
+	for (const [key, value] of Object.entries(properties)) {
+		entries[`${CUSTOM_PROPERTY_PREFIX}${key}`] = value;
+	}
+	return entries;
+}
+
+// appProperties changes that replace the tags in `current` with `tags`; dropped tags are set to null
+export function buildTagChanges(current, tags) {
+	const changes = {};
+	for (const key of Object.keys(current || {})) {
+		if (key.startsWith(TAG_PROPERTY_PREFIX)) {
+			changes[key] = null;
+		}
+	}
+	return { ...changes, ...buildLabelProperties({ tags }) };
+}
+
+export function readLabels(appProperties) {
+	const tags = [];
+	const properties = {};
+	for (const [key, value] of Object.entries(appProperties || {})) {
+		if (key.startsWith(TAG_PROPERTY_PREFIX)) {
+			tags.push(key.slice(TAG_PROPERTY_PREFIX.length));
+		} else if (key.startsWith(CUSTOM_PROPERTY_PREFIX)) {
+			properties[key.slice(CUSTOM_PROPERTY_PREFIX.length)] = value;
+		}
+	}
+	return { tags: tags.sort(), properties };
+}
@@ -0,0 +1,109 @@
+// Copyright (c) 2025 tas33n
+const PATH_CACHE_PREFIX = 'path_cache:';
+// Bumped whenever a folder is renamed, moved or deleted, which orphans every cached path at once
+const PATH_GENERATION_KEY = 'path_cache:generation';
+// Reverse entry so a file's cached path can be dropped when the file changes
+const PATH_FILE_PREFIX = 'path_cache:file:';
+// Changes made in Drive directly, outside the worker, show up after at most this long
+export const PATH_CACHE_TTL_SECONDS = 3600;
+const MAX_PATH_SEGMENTS = 32;
+const MAX_SEGMENT_LENGTH = 255;
+
+// Splits `static/app/main.js` into segments. Returns `{ segments }` or `{ error }`.
+export function parseFilePath(raw) {
+	if (typeof raw !== 'string') {
+		return { error: '`path` must be a string' };
+	}
+	const segments = raw.replace(/^\/+|\/+$/g, '').split('/');
+	if (!segments[0]) {
+		return { error: '`path` must name a file' };
+	}
+	if (segments.length > MAX_PATH_SEGMENTS) {
+		return { error: `\`path\` may have at most ${MAX_PATH_SEGMENTS} segments` };
+	}
+	for (const segment of segments) {
+		if (!segment || segment === '.' || segment === '..') {
+			return { error: '`path` may not contain empty, `.` or `..` segments' };
+		}
+		if (segment.length > MAX_SEGMENT_LENGTH) {
+			return { error: `\`path\` segments may be at most ${MAX_SEGMENT_LENGTH} characters` };
+		}
+	}
+	return { segments };
+}
+
+// Walks (and with `create`, builds) the folder chain below `rootId`, like `mkdir -p`.
+// Returns the innermost folder ID, or null when a folder is missing and `create` is off.
+export async function ensureFolderPath(drive, rootId, segments, { create = true } = {}) {
+	let parentId = rootId;
+	for (const name of segments) {
+		const existing = await drive.findChild(parentId, name, { folder: true });
+		if (existing) {
+			parentId = existing.id;
+		} else if (create) {
+			parentId = (await drive.createFolder({ name, parents: [parentId] })).id;
+		} else {
+			return null;
+		}
+	}
+	return parentId;
+}
+
+// Resolves a parsed path to the newest file with that name, or null.
+export async function resolveFilePath(drive, rootId, segments) {
+	const folderId = await ensureFolderPath(drive, rootId, segments.slice(0, -1), { create: false });
+	if (!folderId) return null;
+	return drive.findChild(folderId, segments[segments.length - 1], { folder: false });
+}
+
+export async function getCachedPath(store, path) {
+	if (!store) return null;
+	try {
+		return await store.get(await pathKey(store, path));
+	} catch (error) {
+		console.warn('Failed to read cached path:', error);
+		return null;
+	}
+}
+
+export async function cacheFilePath(store, path, fileId) {
+	if (!store) return;
+	try {
+		const key = await pathKey(store, path);
+		// The previous file at this path keeps its reverse entry; dropping it later is harmless
+		await Promise.all([
+			store.put(key, fileId, { expirationTtl: PATH_CACHE_TTL_SECONDS }),
+			store.put(`${PATH_FILE_PREFIX}${fileId}`, key, { expirationTtl: PATH_CACHE_TTL_SECONDS }),
+		]);
+	} catch (error) {
+		console.warn(`Failed to cache path ${path}:`, error);
+	}
+}
+
+// Drops the cached path of a renamed, moved or deleted file
+export async function forgetFilePath(store, fileId) {
+	if (!store) return;
+	try {
+		const key = await store.get(`${PATH_FILE_PREFIX}${fileId}`);
+		if (!key) return;
+		await Promise.all([store.delete(key), store.delete(`${PATH_FILE_PREFIX}${fileId}`)]);
+	} catch (error) {
+		console.warn(`Failed to forget cached path of ${fileId}:`, error);
+	}
+}
+
+// A folder change can affect any number of paths below it, so the whole cache is retired
+export async function invalidatePathCache(store) {
+	if (!store) return;
+	try {
+		const generation = parseInt((await store.get(PATH_GENERATION_KEY)) || '0', 10) || 0;
+		await store.put(PATH_GENERATION_KEY, String(generation + 1));
+	} catch (error) {
+		console.warn('Failed to invalidate the path cache:', error);
+	}
+}
+
+async function pathKey(store, path) {
+	const generation = parseInt((await store.get(PATH_GENERATION_KEY)) || '0', 10) || 0;
+	return `${PATH_CACHE_PREFIX}${generation}:${path}`;
+}
@@ -0,0 +1,86 @@
+// Copyright (c) 2025 tas33n
+import { DurableObject } from 'cloudflare:workers';
+
+// One instance per limited key (token hash or client IP). Counters live in memory:
+// losing them on eviction only ever makes the limiter more lenient.
+export class RateLimiter extends DurableObject {
+	constructor(ctx, env) {
+		super(ctx, env);
+		this.windowStart = 0;
+		this.previousCount = 0;
+		this.currentCount = 0;
+	}
+
+	// Sliding window counter: the previous fixed window is weighted by how much of it
+	// still overlaps the trailing window ending now.
+	async hit(limit, windowSeconds) {
+		const windowMs = windowSeconds * 1000;
+		const now = Date.now();
+		const currentStart = Math.floor(now / windowMs) * windowMs;
+		if (currentStart !== this.windowStart) {
+			this.previousCount = currentStart - this.windowStart === windowMs ? this.currentCount : 0;
+			this.currentCount = 0;
+			this.windowStart = currentStart;
+		}
+		const elapsed = now - currentStart;
+		const weight = 1 - elapsed / windowMs;
+		const estimated = this.previousCount * weight + this.currentCount;
+		const resetAt = Math.ceil((currentStart + windowMs) / 1000);
+
+		if (estimated >= limit) {
+			let waitMs = windowMs - elapsed;
+			if (this.currentCount < limit && this.previousCount > 0) {
+				const threshold = windowMs * (1 - (limit - this.currentCount) / this.previousCount);
+				waitMs = Math.max(threshold - elapsed, 0);
+			}
+			return { allowed: false, limit, remaining: 0, resetAt, retryAfter: Math.max(1, Math.ceil(waitMs / 1000)) };
+		}
+
+		this.currentCount += 1;
+		return {
+			allowed: true,
+			limit,
+			remaining: Math.max(0, Math.floor(limit - estimated - 1)),
+			resetAt,
+			retryAfter: 0,
+		};
+	}
+}
+
+// Accepts `<requests>/<seconds>`, e.g. `120/60`. Empty or zero disables the limit.
+export function parseRateLimitRule(value) {
+	if (!value) return null;
+	const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(value));
+	if (!match) {
+		console.warn(`Ignoring malformed rate limit rule: ${value}`);
+		return null;
+	}
+	const limit = parseInt(match[1], 10);
+	const windowSeconds = parseInt(match[2], 10);
+	if (!limit || !windowSeconds) return null;
+	return { limit, windowSeconds };
+}
+
+// Fails open: a limiter outage should not take file delivery down with it.
+export async function checkRateLimit(env, key, rule) {
+	if (!rule || !env?.RATE_LIMITER) return null;
+	try {
+		const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+		return await stub.hit(rule.limit, rule.windowSeconds);
+	} catch (error) {
+		console.error('Rate limiter unavailable:', error);
+		return null;
+	}
+}
+
+export function rateLimitHeaders(result) {
+	const headers = {
+		'X-RateLimit-Limit': String(result.limit),
+		'X-RateLimit-Remaining': String(result.remaining),
+		'X-RateLimit-Reset': String(result.resetAt),
+	};
+	if (!result.allowed) {
+		headers['Retry-After'] = String(result.retryAfter);
+	}
+	return headers;
+}
@@ -0,0 +1,237 @@
+// Copyright (c) 2025 tas33n
+import { DurableObject } from 'cloudflare:workers';
+import { pipeToResumableSession } from './stream-upload.js';
+
+export const DEFAULT_IMPORT_MAX_BYTES = 5 * 1024 * 1024 * 1024;
+// Sources up to this size are imported while the request waits; larger or unknown ones become jobs
+export const DEFAULT_IMPORT_INLINE_MAX_BYTES = 100 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const MAX_FORWARDED_HEADERS = 20;
+// Never forwarded upstream: they describe our connection, not the source
+const BLOCKED_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding', 'upgrade', 'te', 'trailer', 'keep-alive'];
+const JOB_KEY = 'job';
+// Finished jobs stay pollable for a day before the object clears its storage
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// The Durable Object shares the Worker bundle, so the Worker registers how to build a Drive client
+// and what to do with a finished import instead of this module importing worker-api.js.
+let hooks = null;
+
+export function registerImportHooks(value) {
+	hooks = value;
+}
+
+export function resolveImportLimits(config = {}) {
+	const maxBytes = parseInt(config.IMPORT_MAX_BYTES ?? '', 10);
+	const inlineMaxBytes = parseInt(config.IMPORT_INLINE_MAX_BYTES ?? '', 10);
+	return {
+		maxBytes: Number.isFinite(maxBytes) && maxBytes > 0 ? maxBytes : DEFAULT_IMPORT_MAX_BYTES,
+		inlineMaxBytes: Number.isFinite(inlineMaxBytes) && inlineMaxBytes >= 0 ? inlineMaxBytes : DEFAULT_IMPORT_INLINE_MAX_BYTES,
+	};
+}
+
+// IMPORT_ALLOWED_HOSTS entries are exact hosts or `*.example.com` for any subdomain.
+export function parseAllowedHosts(raw) {
+	return String(raw || '')
+		.split(',')
+		.map((host) => host.trim().toLowerCase())
+		.filter(Boolean);
+}
+
+export function isHostAllowed(host, allowedHosts) {
+	const normalized = host.toLowerCase();
+	return allowedHosts.some((pattern) => (pattern.startsWith('*.') ? normalized.endsWith(pattern.slice(1)) : normalized === pattern));
+}
+
+// Returns `{ headers }` or `{ error }` for the caller-supplied upstream headers.
+export function sanitizeImportHeaders(headers) {
+	if (headers === undefined || headers === null) return { headers: {} };
+	if (typeof headers !== 'object' || Array.isArray(headers)) {
+		return { error: '`headers` must be an object of strings' };
+	}
+	const entries = Object.entries(headers);
+	if (entries.length > MAX_FORWARDED_HEADERS) {
+		return { error: `At most ${MAX_FORWARDED_HEADERS} headers can be forwarded` };
+	}
+	const clean = {};
+	for (const [name, value] of entries) {
+		if (typeof value !== 'string') {
+			return { error: `Header ${name} must be a string` };
+		}
+		const lower = name.toLowerCase();
+		if (BLOCKED_HEADERS.includes(lower) || lower.startsWith('cf-')) {
+			return { error: `Header ${name} cannot be forwarded` };
+		}
+		clean[name] = value;
+	}
+	return { headers: clean };
+}
+
+// Follows redirects by hand so every hop is checked against the allowlist.
+// Returns `{ response }` or `{ error, message, status? }`.
+export async function fetchRemoteSource(sourceUrl, headers, allowedHosts, { method = 'GET' } = {}) {
+	let current = sourceUrl;
+	for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+		let target;
+		try {
+			target = new URL(current);
+		} catch {
+			return { error: 'invalid_request', message: `Invalid URL: ${current}` };
+		}
+		if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+			return { error: 'invalid_request', message: 'Only http and https URLs can be imported' };
+		}
+		if (!isHostAllowed(target.hostname, allowedHosts)) {
+			return { error: 'import_host_not_allowed', message: `Host ${target.hostname} is not in IMPORT_ALLOWED_HOSTS` };
+		}
+		let response;
+		try {
+			response = await fetch(target.toString(), { method, headers, redirect: 'manual' });
+		} catch (error) {
+			return { error: 'import_failed', message: `Could not reach ${target.hostname}: ${error.message}` };
+		}
+		const location = response.headers.get('Location');
+		if (response.status >= 300 && response.status < 400 && location) {
+			response.body?.cancel();
+			current = new URL(location, target).toString();
+			continue;
+		}
+		if (!response.ok) {
+			response.body?.cancel();
+			return { error: 'import_failed', message: `Source answered ${response.status}`, status: response.status };
+		}
+		return { response, url: target.toString() };
+	}
+	return { error: 'import_failed', message: `More than ${MAX_REDIRECTS} redirects` };
+}
+
+export function remoteContentLength(response) {
+	const value = response.headers.get('Content-Length');
+	return value !== null && /^\d+$/.test(value) ? Number(value) : null;
+}
+
+export function remoteMimeType(response) {
+	const value = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+	return value || 'application/octet-stream';
+}
+
+// Prefers Content-Disposition, then the last path segment of the final URL. `response` may be
+// null when only the URL is known.
+export function remoteFileName(response, url) {
+	const disposition = response?.headers.get('Content-Disposition') || '';
+	const encoded = /filename\*\s*=\s*UTF-8''([^;]+)/i.exec(disposition);
+	if (encoded) {
+		try {
+			return decodeURIComponent(encoded[1].trim());
+		} catch {
+			// fall through to the plain filename
+		}
+	}
+	const plain = /filename\s*=\s*"?([^";]+)"?/i.exec(disposition);
+	if (plain) return plain[1].trim();
+	const segment = new URL(url).pathname.split('/').filter(Boolean).pop();
+	if (segment) {
+		try {
+			return decodeURIComponent(segment);
+		} catch {
+			return segment;
+		}
+	}
+	return 'download';
+}
+
+// Streams an already fetched source into Drive. Returns the uploaded file or `{ error, message }`.
+// `target.replaces` uploads a new revision of `target.fileId` instead of creating a file. Without
+// `target.mimeType` the source's Content-Type is used.
+export async function importRemoteFile(drive, response, target, { maxBytes, onProgress } = {}) {
+	const expectedSize = remoteContentLength(response);
+	const mimeType = target.mimeType || remoteMimeType(response);
+	const session = target.replaces
+		? await drive.createRevisionSession(target.fileId, { mimeType, size: expectedSize })
+		: await drive.createResumableSession({
+				id: target.fileId,
+				name: target.name,
+				mimeType,
+				size: expectedSize,
+				parents: target.parents,
+				description: target.description,
+				appProperties: target.appProperties,
+			});
+	const body = response.body || new ReadableStream({ start: (controller) => controller.close() });
+	return pipeToResumableSession(drive, session.uploadUrl, body, { expectedSize, maxBytes, onProgress });
+}
+
+// One object per background import. The job runs from an alarm so it outlives the request that
+// queued it; progress is kept in storage for GET /api/files/import/:jobId.
+export class ImportJob extends DurableObject {
+	async start(job) {
+		const state = { ...job, status: 'queued', bytes: 0, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+		await this.ctx.storage.put(JOB_KEY, state);
+		await this.ctx.storage.setAlarm(Date.now());
+		return state;
+	}
+
+	async status() {
+		return (await this.ctx.storage.get(JOB_KEY)) || null;
+	}
+
+	async alarm() {
+		const job = await this.ctx.storage.get(JOB_KEY);
+		if (!job) return;
+		if (job.status === 'complete' || job.status === 'failed') {
+			await this.ctx.storage.deleteAll();
+			return;
+		}
+		if (job.status === 'running') {
+			// The previous run was cut off by an eviction or the alarm time limit. The source may not
+			// allow a second download, so the job fails rather than starting over.
+			await this.update(job, {
+				status: 'failed',
+				error: { code: 'import_interrupted', message: 'The import was interrupted before it finished; start a new one' },
+			});
+			await this.ctx.storage.setAlarm(Date.now() + JOB_RETENTION_MS);
+			return;
+		}
+		await this.update(job, { status: 'running', startedAt: new Date().toISOString() });
+		try {
+			const drive = await hooks.createDriveClient(this.env);
+			const fetched = await fetchRemoteSource(job.url, job.headers, job.allowedHosts);
+			if (fetched.error) {
+				await this.update(job, { status: 'failed', error: { code: fetched.error, message: fetched.message } });
+				return;
+			}
+			await this.update(job, { totalBytes: remoteContentLength(fetched.response) });
+			let lastWrite = 0;
+			const result = await importRemoteFile(drive, fetched.response, job.target, {
+				maxBytes: job.maxBytes,
+				onProgress: (bytes) => {
+					// Progress only needs to be roughly current; skip most storage writes
+					if (Date.now() - lastWrite < 2000) return;
+					lastWrite = Date.now();
+					this.update(job, { bytes }).catch(() => {});
+				},
+			});
+			if (result.error) {
+				await this.update(job, { status: 'failed', bytes: result.bytes, error: { code: result.error, message: result.message } });
+				return;
+			}
+			const file = await hooks.onImported(this.env, result.file, job);
+			await this.update(job, { status: 'complete', bytes: result.bytes, file, completedAt: new Date().toISOString() });
+		} catch (error) {
+			console.error('Import job failed:', error);
+			await this.update(job, {
+				status: 'failed',
+				error: { code: error.code || 'internal_error', message: error.message },
+			});
+		} finally {
+			await this.ctx.storage.setAlarm(Date.now() + JOB_RETENTION_MS);
+		}
+	}
+
+	async update(job, changes) {
+		Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+		// Upstream credentials are only needed until the source has been fetched
+		const { headers, ...stored } = job;
+		await this.ctx.storage.put(JOB_KEY, job.status === 'queued' ? job : { ...stored, headers: {} });
+	}
+}
@@ -0,0 +1,179 @@
+// Copyright (c) 2025 tas33n
+import { FOLDER_MIME_TYPE } from './drive.js';
+
+export const EXPIRES_AT_PROPERTY = 'cdnExpiresAt';
+// Drive cannot compare property values, so a fixed marker is what finds every expiring file
+export const EXPIRING_PROPERTY = 'cdnExpiring';
+const MAX_TTL_SECONDS = 10 * 365 * 24 * 3600;
+// Upper bound on files one scheduled run inspects in the expiry scan and deletes per retention folder
+export const MAX_CLEANUP_SCAN = 1000;
+// Where the expiry scan stops in one run and resumes in the next
+const EXPIRY_CURSOR_KEY = 'cleanup:expiry_cursor';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `expiresAt` (ISO 8601) or `ttlSeconds` from an upload. Returns `{ expiresAt }`, null when neither
+// is set, or `{ error }`. Query strings and tus metadata pass `ttlSeconds` as a string.
+export function parseExpiry({ expiresAt, ttlSeconds } = {}, now = Date.now()) {
+	if (expiresAt === undefined && ttlSeconds === undefined) return null;
+	if (expiresAt !== undefined && ttlSeconds !== undefined) {
+		return { error: 'Send either `expiresAt` or `ttlSeconds`, not both' };
+	}
+	if (ttlSeconds !== undefined) {
+		const seconds = typeof ttlSeconds === 'string' && /^\d+$/.test(ttlSeconds) ? Number(ttlSeconds) : ttlSeconds;
+		if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_TTL_SECONDS) {
+			return { error: `\`ttlSeconds\` must be an integer between 1 and ${MAX_TTL_SECONDS}` };
+		}
+		return { expiresAt: new Date(now + seconds * 1000).toISOString() };
+	}
+	const time = typeof expiresAt === 'string' ? Date.parse(expiresAt) : NaN;
+	if (Number.isNaN(time)) {
+		return { error: '`expiresAt` must be an ISO 8601 date' };
+	}
+	if (time <= now || time > now + MAX_TTL_SECONDS * 1000) {
+		return { error: '`expiresAt` must be in the future and at most ten years away' };
+	}
+	return { expiresAt: new Date(time).toISOString() };
+}
+
+export function buildExpiryProperties(expiresAt) {
+	return expiresAt ? { [EXPIRES_AT_PROPERTY]: expiresAt, [EXPIRING_PROPERTY]: 'true' } : {};
+}
+
+// Expiry time in milliseconds, or null for files that never expire
+export function expiryOf(meta) {
+	const value = meta?.appProperties?.[EXPIRES_AT_PROPERTY];
+	const time = value ? Date.parse(value) : NaN;
+	return Number.isNaN(time) ? null : time;
+}
+
+export function isExpired(meta, now = Date.now()) {
+	const expiry = expiryOf(meta);
+	return expiry !== null && expiry <= now;
+}
+
+// RETENTION_RULES maps folder IDs to `{ "maxAgeDays": 30 }` and/or `{ "keepNewest": 10 }`.
+// Invalid entries are logged and skipped so one typo does not stop the other rules.
+export function parseRetentionRules(raw) {
+	if (!raw) return [];
+	let value;
+	try {
+		value = typeof raw === 'string' ? JSON.parse(raw) : raw;
+	} catch (error) {
+		console.warn('Failed to parse RETENTION_RULES value:', error);
+		return [];
+	}
+	if (!value || typeof value !== 'object' || Array.isArray(value)) {
+		console.warn('RETENTION_RULES must be an object keyed by folder ID');
+		return [];
+	}
+	const rules = [];
+	for (const [folderId, rule] of Object.entries(value)) {
+		const maxAgeDays = rule?.maxAgeDays ?? null;
+		const keepNewest = rule?.keepNewest ?? null;
+		const validAge = maxAgeDays === null || (typeof maxAgeDays === 'number' && maxAgeDays > 0);
+		const validKeep = keepNewest === null || (Number.isInteger(keepNewest) && keepNewest >= 0);
+		if (!validAge || !validKeep || (maxAgeDays === null && keepNewest === null)) {
+			console.warn(`Ignoring retention rule for folder ${folderId}: expected maxAgeDays and/or keepNewest`);
+			continue;
+		}
+		rules.push({ folderId, maxAgeDays, keepNewest });
+	}
+	return rules;
+}
+
+// Expiring files whose time has passed. Drive can only match direct parents, so the listing covers
+// the whole drive and callers must check each file is below DRIVE_UPLOAD_ROOT before deleting it.
+// Drive cannot sort by the expiry property either: each run reads the next MAX_CLEANUP_SCAN files and
+// keeps its page token in `store`, starting over once the listing is exhausted.
+export async function findExpiredFiles(drive, store, now = Date.now()) {
+	let pageToken = (await readCursor(store)) || undefined;
+	const expired = [];
+	let scanned = 0;
+	while (scanned < MAX_CLEANUP_SCAN) {
+		let page;
+		try {
+			page = await drive.listFiles({
+				pageSize: 100,
+				pageToken,
+				parents: [],
+				orderBy: 'createdTime',
+				appProperties: { [EXPIRING_PROPERTY]: 'true' },
+			});
+		} catch (error) {
+			// Stale page tokens are rejected with a 400; start the listing over
+			if (!pageToken || error.upstreamStatus !== 400) throw error;
+			pageToken = undefined;
+			continue;
+		}
+		for (const file of page.files || []) {
+			if (isExpired(file, now)) expired.push(file);
+		}
+		scanned += (page.files || []).length;
+		pageToken = page.nextPageToken;
+		if (!pageToken) break;
+	}
+	await writeCursor(store, pageToken);
+	return expired;
+}
+
+async function readCursor(store) {
+	if (!store) return null;
+	try {
+		return await store.get(EXPIRY_CURSOR_KEY);
+	} catch (error) {
+		console.warn('Failed to read the expiry scan cursor:', error);
+		return null;
+	}
+}
+
+async function writeCursor(store, pageToken) {
+	if (!store) return;
+	try {
+		if (pageToken) {
+			await store.put(EXPIRY_CURSOR_KEY, pageToken);
+		} else {
+			await store.delete(EXPIRY_CURSOR_KEY);
+		}
+	} catch (error) {
+		console.warn('Failed to store the expiry scan cursor:', error);
+	}
+}
+
+// Files in the rule's folder past `maxAgeDays` or beyond the `keepNewest` most recent uploads, at most
+// MAX_CLEANUP_SCAN per run. Drive filters by age itself and kept files do not count towards the limit,
+// so a large backlog shrinks with every run. Subfolders are neither counted nor removed.
+export async function findRetainedFiles(drive, rule, now = Date.now()) {
+	const stale = new Map();
+	const collect = (file) => {
+		stale.set(file.id, file);
+		return stale.size < MAX_CLEANUP_SCAN;
+	};
+	if (rule.maxAgeDays !== null) {
+		const createdBefore = new Date(now - rule.maxAgeDays * DAY_MS).toISOString();
+		await eachFile(drive, { parents: [rule.folderId], createdBefore, orderBy: 'createdTime' }, collect);
+	}
+	if (rule.keepNewest !== null && stale.size < MAX_CLEANUP_SCAN) {
+		let kept = 0;
+		await eachFile(drive, { parents: [rule.folderId], orderBy: 'createdTime desc' }, (file) => {
+			if (kept < rule.keepNewest) {
+				kept += 1;
+				return true;
+			}
+			return collect(file);
+		});
+	}
+	return [...stale.values()];
+}
+
+// Calls `visit` for each file (not folder) matching `options` until it returns false
+async function eachFile(drive, options, visit) {
+	let pageToken;
+	do {
+		const page = await drive.listFiles({ ...options, pageSize: 100, pageToken });
+		for (const file of page.files || []) {
+			if (file.mimeType === FOLDER_MIME_TYPE) continue;
+			if (!visit(file)) return;
+		}
+		pageToken = page.nextPageToken;
+	} while (pageToken);
+}
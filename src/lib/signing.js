@@ -0,0 +1,74 @@
+// Copyright (c) 2025 tas33n
+const encoder = new TextEncoder();
+const keyCache = new Map();
+
+export const PRIVATE_VISIBILITY = 'private';
+export const VISIBILITY_PROPERTY = 'cdnVisibility';
+export const DEFAULT_SIGNED_URL_TTL_SECONDS = 3600;
+export const DEFAULT_SIGNED_URL_MAX_TTL_SECONDS = 7 * 24 * 3600;
+
+export function isPrivateFile(meta) {
+	return meta?.appProperties?.[VISIBILITY_PROPERTY] === PRIVATE_VISIBILITY;
+}
+
+export async function signFileUrl(fileUrl, id, secret, expiresAt) {
+	const expires = Math.floor(expiresAt / 1000);
+	const sig = await computeSignature(secret, id, expires);
+	const url = new URL(fileUrl, 'http://placeholder');
+	url.searchParams.set('expires', String(expires));
+	url.searchParams.set('sig', sig);
+	// Relative file URLs stay relative
+	return /^https?:\/\//i.test(fileUrl) ? url.toString() : `${url.pathname}${url.search}`;
+}
+
+// Returns null when the signature is valid, otherwise an error code for the caller to surface.
+export async function verifyFileSignature(searchParams, id, secret) {
+	const expires = searchParams.get('expires');
+	const sig = searchParams.get('sig');
+	if (!expires || !sig) {
+		return 'signature_required';
+	}
+	if (!secret) {
+		return 'signing_unavailable';
+	}
+	const expiresAt = parseInt(expires, 10);
+	if (!Number.isFinite(expiresAt) || String(expiresAt) !== expires) {
+		return 'invalid_signature';
+	}
+	if (expiresAt * 1000 < Date.now()) {
+		return 'signature_expired';
+	}
+	const expected = await computeSignature(secret, id, expiresAt);
+	return timingSafeEqual(expected, sig) ? null : 'invalid_signature';
+}
+
+async function computeSignature(secret, id, expires) {
+	const key = await importKey(secret);
+	const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${id}:${expires}`));
+	return base64UrlFromBuffer(signature);
+}
+
+async function importKey(secret) {
+	if (!keyCache.has(secret)) {
+		keyCache.set(secret, crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']));
+	}
+	return keyCache.get(secret);
+}
+
+export function timingSafeEqual(a = '', b = '') {
+	if (a.length !== b.length) return false;
+	let diff = 0;
+	for (let i = 0; i < a.length; i++) {
+		diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+	}
+	return diff === 0;
+}
+
+function base64UrlFromBuffer(buffer) {
+	const bytes = new Uint8Array(buffer);
+	let binary = '';
+	for (let i = 0; i < bytes.byteLength; i++) {
+		binary += String.fromCharCode(bytes[i]);
+	}
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
@@ -0,0 +1,99 @@
+// Copyright (c) 2025 tas33n
+// Multiple of the 256KB granularity Google requires for non-final chunks
+export const STREAM_CHUNK_BYTES = 16 * 1024 * 1024;
+const MAX_FINAL_ATTEMPTS = 5;
+
+// Feeds a ReadableStream into a Google resumable session one chunk at a time, so memory use is
+// bounded by `chunkSize` whatever the size of the source. Returns `{ file, bytes }` on success or
+// `{ error, message, bytes }` when the source fails, ends early or grows past `maxBytes`; the
+// Google session is cancelled in that case. Drive failures are thrown as DriveError.
+export async function pipeToResumableSession(
+	drive,
+	uploadUrl,
+	stream,
+	{ expectedSize = null, maxBytes = null, chunkSize = STREAM_CHUNK_BYTES, onProgress = null } = {},
+) {
+	const reader = stream.getReader();
+	const buffer = new Uint8Array(chunkSize);
+	let filled = 0;
+	let offset = 0;
+	let received = 0;
+
+	const abort = async (error, message) => {
+		reader.cancel().catch(() => {});
+		await drive.cancelUpload(uploadUrl).catch(() => {});
+		return { error, message, bytes: received };
+	};
+
+	const send = async (final) => {
+		const total = final ? offset + filled : (expectedSize ?? undefined);
+		const progress = await drive.uploadChunk(uploadUrl, {
+			body: filled ? buffer.subarray(0, filled) : null,
+			start: offset,
+			end: offset + filled - 1,
+			total,
+			length: filled,
+		});
+		if (progress.complete) {
+			return progress.file;
+		}
+		// Google may commit less than it was sent; keep the rest for the next request
+		const committed = progress.offset - offset;
+		buffer.copyWithin(0, committed, filled);
+		filled -= committed;
+		offset = progress.offset;
+		if (onProgress) onProgress(offset);
+		return null;
+	};
+
+	let file = null;
+	try {
+		for (;;) {
+			let result;
+			try {
+				result = await reader.read();
+			} catch (error) {
+				return await abort('upload_interrupted', `Connection dropped after ${received} bytes: ${error.message}`);
+			}
+			if (result.done) break;
+			const chunk = result.value instanceof Uint8Array ? result.value : new Uint8Array(result.value);
+			received += chunk.byteLength;
+			if (maxBytes !== null && received > maxBytes) {
+				return await abort('payload_too_large', `Body exceeds ${maxBytes} bytes`);
+			}
+			let position = 0;
+			while (position < chunk.byteLength) {
+				const count = Math.min(chunkSize - filled, chunk.byteLength - position);
+				buffer.set(chunk.subarray(position, position + count), filled);
+				filled += count;
+				position += count;
+				if (filled === chunkSize) {
+					file = await send(false);
+					if (file) break;
+				}
+			}
+			// A chunk that ends exactly at `expectedSize` finalises the upload; nothing may follow it
+			if (file) {
+				const drained = position === chunk.byteLength && (await reader.read().catch(() => ({ done: true }))).done;
+				if (!drained) {
+					await drive.deleteFile(file.id).catch(() => {});
+					return await abort('upload_interrupted', `Body is longer than the declared ${expectedSize} bytes`);
+				}
+				return { file, bytes: received };
+			}
+		}
+		if (expectedSize !== null && received !== expectedSize) {
+			return await abort('upload_interrupted', `Connection closed after ${received} of ${expectedSize} bytes`);
+		}
+		for (let attempt = 0; attempt < MAX_FINAL_ATTEMPTS; attempt++) {
+			file = await send(true);
+			if (file) {
+				return { file, bytes: received };
+			}
+		}
+		return await abort('upload_interrupted', 'Google Drive did not accept the final chunk');
+	} catch (error) {
+		await abort();
+		throw error;
+	}
+}
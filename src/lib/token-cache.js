@@ -0,0 +1,169 @@
+// Copyright (c) 2025 tas33n
+const TOKEN_KEY_PREFIX = 'access_token:';
+const MIN_REMAINING_MS = 60 * 1000;
+const REFRESH_WINDOW_MS = 5 * 60 * 1000;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Module scope outlives a single request, so every DriveClient in the isolate shares these
+const isolateTokens = new Map();
+const inflight = new Map();
+const encryptionKeys = new Map();
+
+// Two-level access token cache: isolate memory first, then KV shared by all isolates.
+// KV entries are AES-GCM encrypted with TOKEN_CACHE_SECRET; without a secret only the
+// isolate level is used.
+export class TokenCache {
+	constructor({ store = null, secret = '', waitUntil = null } = {}) {
+		this.store = secret ? store : null;
+		this.secret = secret;
+		this.waitUntil = waitUntil;
+	}
+
+	// `mint` returns Google's token response ({ access_token, expires_in }).
+	async get(accountKey, mint) {
+		const now = Date.now();
+		let entry = isolateTokens.get(accountKey);
+		if (!entry || entry.expiresAt <= now + MIN_REMAINING_MS) {
+			entry = await this.readShared(accountKey);
+			if (entry && entry.expiresAt > now + MIN_REMAINING_MS) {
+				isolateTokens.set(accountKey, entry);
+			} else {
+				entry = null;
+			}
+		}
+		if (!entry) {
+			return (await this.refresh(accountKey, mint)).token;
+		}
+		if (entry.expiresAt - now < REFRESH_WINDOW_MS) {
+			this.refreshInBackground(accountKey, mint);
+		}
+		return entry.token;
+	}
+
+	async invalidate(accountKey) {
+		isolateTokens.delete(accountKey);
+		if (!this.store) return;
+		try {
+			await this.store.delete(await this.storageKey(accountKey));
+		} catch (error) {
+			console.warn('Failed to drop shared access token:', error);
+		}
+	}
+
+	// Mints a token unless the cached one is valid for at least `minRemainingMs`, so requests
+	// until the next scheduled run find one ready. Returns the expiry time in milliseconds.
+	async warm(accountKey, mint, minRemainingMs) {
+		const deadline = Date.now() + minRemainingMs;
+		let entry = isolateTokens.get(accountKey);
+		if (!entry || entry.expiresAt <= deadline) {
+			entry = await this.readShared(accountKey);
+		}
+		if (entry && entry.expiresAt > deadline) {
+			isolateTokens.set(accountKey, entry);
+			return entry.expiresAt;
+		}
+		return (await this.refresh(accountKey, mint)).expiresAt;
+	}
+
+	refresh(accountKey, mint) {
+		if (inflight.has(accountKey)) {
+			return inflight.get(accountKey);
+		}
+		const promise = (async () => {
+			const tokenData = await mint();
+			const entry = {
+				token: tokenData.access_token,
+				expiresAt: Date.now() + (tokenData.expires_in || 3600) * 1000,
+			};
+			isolateTokens.set(accountKey, entry);
+			this.keepAlive(this.writeShared(accountKey, entry));
+			return entry;
+		})().finally(() => inflight.delete(accountKey));
+		inflight.set(accountKey, promise);
+		return promise;
+	}
+
+	refreshInBackground(accountKey, mint) {
+		if (inflight.has(accountKey)) return;
+		this.keepAlive(
+			this.refresh(accountKey, mint).catch((error) => {
+				console.warn(`Background token refresh for ${accountKey} failed:`, error.message);
+			}),
+		);
+	}
+
+	keepAlive(promise) {
+		if (this.waitUntil) {
+			this.waitUntil(promise);
+		} else {
+			promise.catch(() => {});
+		}
+	}
+
+	async readShared(accountKey) {
+		if (!this.store) return null;
+		try {
+			const stored = await this.store.get(await this.storageKey(accountKey), 'json');
+			if (!stored?.iv || !stored?.data) return null;
+			const key = await this.encryptionKey();
+			const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(stored.iv) }, key, fromBase64(stored.data));
+			return JSON.parse(decoder.decode(plaintext));
+		} catch (error) {
+			console.warn('Failed to read shared access token:', error.message);
+			return null;
+		}
+	}
+
+	async writeShared(accountKey, entry) {
+		if (!this.store) return;
+		const ttlSeconds = Math.floor((entry.expiresAt - Date.now() - MIN_REMAINING_MS) / 1000);
+		// KV rejects expirations shorter than 60 seconds
+		if (ttlSeconds < 60) return;
+		try {
+			const key = await this.encryptionKey();
+			const iv = crypto.getRandomValues(new Uint8Array(12));
+			const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(entry)));
+			await this.store.put(await this.storageKey(accountKey), JSON.stringify({ iv: toBase64(iv), data: toBase64(data) }), {
+				expirationTtl: ttlSeconds,
+			});
+		} catch (error) {
+			console.warn('Failed to share access token:', error.message);
+		}
+	}
+
+	// Account emails are hashed so KV key listings do not reveal them
+	async storageKey(accountKey) {
+		const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${this.secret}:${accountKey}`));
+		return `${TOKEN_KEY_PREFIX}${toHex(digest).slice(0, 32)}`;
+	}
+
+	encryptionKey() {
+		if (!encryptionKeys.has(this.secret)) {
+			encryptionKeys.set(
+				this.secret,
+				crypto.subtle
+					.digest('SHA-256', encoder.encode(this.secret))
+					.then((material) => crypto.subtle.importKey('raw', material, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt'])),
+			);
+		}
+		return encryptionKeys.get(this.secret);
+	}
+}
+
+function toHex(buffer) {
+	return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function toBase64(buffer) {
+	const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+	let binary = '';
+	for (let i = 0; i < bytes.length; i++) {
+		binary += String.fromCharCode(bytes[i]);
+	}
+	return btoa(binary);
+}
+
+function fromBase64(value) {
+	return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+}
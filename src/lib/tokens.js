@@ -0,0 +1,103 @@
+// Copyright (c) 2025 tas33n
+import { timingSafeEqual } from './signing.js';
+
+const TOKEN_KEY_PREFIX = 'token:';
+const TOKEN_PREFIX = 'gdc';
+const encoder = new TextEncoder();
+
+export const TOKEN_SCOPES = ['files:read', 'files:write', 'files:delete', 'admin'];
+export const LEGACY_PRINCIPAL = Object.freeze({ id: 'legacy', name: 'API_TOKENS', scopes: ['admin'], parent: null, legacy: true });
+
+export function hasScope(principal, scope) {
+	if (!principal) return false;
+	return principal.scopes.includes('admin') || principal.scopes.includes(scope);
+}
+
+// Tokens look like `gdc_<id>_<secret>`; the id is the KV lookup key and only the secret hash is stored.
+export async function verifyApiToken(store, candidate) {
+	if (!store || !candidate) return null;
+	const match = /^gdc_([a-f0-9]+)_([A-Za-z0-9_-]+)$/.exec(candidate);
+	if (!match) return null;
+	const [, id, secret] = match;
+	const record = await store.get(`${TOKEN_KEY_PREFIX}${id}`, 'json');
+	if (!record) return null;
+	if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) return null;
+	const hash = await hashSecret(secret);
+	if (!timingSafeEqual(hash, record.secretHash)) return null;
+	return { id: record.id, name: record.name, scopes: record.scopes, parent: record.parent || null, legacy: false };
+}
+
+export async function createApiToken(store, { name, scopes, expiresAt = null, parent = null }) {
+	const id = randomHex(8);
+	const secret = randomSecret();
+	const now = new Date().toISOString();
+	const record = {
+		id,
+		name,
+		scopes,
+		parent,
+		expiresAt,
+		secretHash: await hashSecret(secret),
+		createdAt: now,
+		rotatedAt: null,
+	};
+	await store.put(`${TOKEN_KEY_PREFIX}${id}`, JSON.stringify(record));
+	return { token: formatToken(id, secret), record: publicRecord(record) };
+}
+
+export async function rotateApiToken(store, id) {
+	const record = await store.get(`${TOKEN_KEY_PREFIX}${id}`, 'json');
+	if (!record) return null;
+	const secret = randomSecret();
+	record.secretHash = await hashSecret(secret);
+	record.rotatedAt = new Date().toISOString();
+	await store.put(`${TOKEN_KEY_PREFIX}${id}`, JSON.stringify(record));
+	return { token: formatToken(id, secret), record: publicRecord(record) };
+}
+
+export async function revokeApiToken(store, id) {
+	const key = `${TOKEN_KEY_PREFIX}${id}`;
+	const existing = await store.get(key);
+	if (!existing) return false;
+	await store.delete(key);
+	return true;
+}
+
+export async function listApiTokens(store) {
+	const records = [];
+	let cursor;
+	do {
+		const page = await store.list({ prefix: TOKEN_KEY_PREFIX, cursor });
+		const values = await Promise.all(page.keys.map((key) => store.get(key.name, 'json')));
+		values.filter(Boolean).forEach((record) => records.push(publicRecord(record)));
+		cursor = page.list_complete ? undefined : page.cursor;
+	} while (cursor);
+	return records.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+}
+
+function publicRecord(record) {
+	const { secretHash, ...rest } = record;
+	return rest;
+}
+
+function formatToken(id, secret) {
+	return `${TOKEN_PREFIX}_${id}_${secret}`;
+}
+
+export async function hashSecret(secret) {
+	const digest = await crypto.subtle.digest('SHA-256', encoder.encode(secret));
+	return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function randomHex(bytes) {
+	return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function randomSecret() {
+	const bytes = crypto.getRandomValues(new Uint8Array(32));
+	let binary = '';
+	for (let i = 0; i < bytes.length; i++) {
+		binary += String.fromCharCode(bytes[i]);
+	}
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
@@ -0,0 +1,72 @@
+// Copyright (c) 2025 tas33n
+export const TUS_VERSION = '1.0.0';
+export const TUS_EXTENSIONS = ['creation', 'termination', 'checksum', 'expiration'];
+export const TUS_CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+export const TUS_CONTENT_TYPE = 'application/offset+octet-stream';
+// Checksummed chunks are buffered so they can be verified before Google sees them
+export const TUS_CHECKSUM_MAX_BYTES = 64 * 1024 * 1024;
+
+const DIGEST_NAMES = { sha1: 'SHA-1', sha256: 'SHA-256', md5: 'MD5' };
+
+export const TUS_REQUEST_HEADERS = [
+	'tus-resumable',
+	'upload-length',
+	'upload-metadata',
+	'upload-offset',
+	'upload-checksum',
+	'x-http-method-override',
+];
+export const TUS_RESPONSE_HEADERS = [
+	'location',
+	'tus-resumable',
+	'tus-version',
+	'tus-extension',
+	'tus-checksum-algorithm',
+	'upload-offset',
+	'upload-length',
+	'upload-expires',
+	'x-file-id',
+	'x-file-url',
+];
+
+export function tusHeaders(extra = {}) {
+	return { 'Tus-Resumable': TUS_VERSION, ...extra };
+}
+
+export function tusDiscoveryHeaders() {
+	return tusHeaders({
+		'Tus-Version': TUS_VERSION,
+		'Tus-Extension': TUS_EXTENSIONS.join(','),
+		'Tus-Checksum-Algorithm': TUS_CHECKSUM_ALGORITHMS.join(','),
+	});
+}
+
+// Upload-Metadata is a comma separated list of `key base64(value)` pairs; the value may be omitted.
+export function parseUploadMetadata(header) {
+	const metadata = {};
+	if (!header) return metadata;
+	for (const pair of header.split(',')) {
+		const [key, encoded] = pair.trim().split(' ');
+		if (!key) continue;
+		try {
+			metadata[key] = encoded ? new TextDecoder().decode(Uint8Array.from(atob(encoded), (char) => char.charCodeAt(0))) : '';
+		} catch {
+			return null;
+		}
+	}
+	return metadata;
+}
+
+// Returns null when the checksum matches, otherwise `unsupported`, `invalid` or `mismatch`.
+export async function verifyUploadChecksum(header, bytes) {
+	const [algorithm, expected] = header.trim().split(' ');
+	const digestName = DIGEST_NAMES[(algorithm || '').toLowerCase()];
+	if (!digestName) return 'unsupported';
+	if (!expected) return 'invalid';
+	const digest = new Uint8Array(await crypto.subtle.digest(digestName, bytes));
+	let binary = '';
+	for (let i = 0; i < digest.length; i++) {
+		binary += String.fromCharCode(digest[i]);
+	}
+	return btoa(binary) === expected ? null : 'mismatch';
+}
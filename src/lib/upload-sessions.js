@@ -0,0 +1,116 @@
+// Copyright (c) 2025 tas33n
+const SESSION_KEY_PREFIX = 'session:';
+// Google keeps resumable sessions alive for one week
+export const UPLOAD_SESSION_TTL_SECONDS = 7 * 24 * 3600;
+// Expired sessions stay listable for a while so abandoned uploads can be reported
+const ABANDONED_RETENTION_SECONDS = 7 * 24 * 3600;
+// Completed sessions only matter to clients still polling for the result
+const COMPLETED_RETENTION_SECONDS = 24 * 3600;
+// Upper bound on keys one prune inspects; the rest wait for the next scheduled run
+const MAX_PRUNE_SCAN = 5000;
+
+// `active` until Google has every byte, `uploaded` until POST /complete verifies it on Drive, then `complete`
+export const UPLOAD_SESSION_STATUSES = ['active', 'uploaded', 'complete', 'abandoned'];
+
+export async function createUploadSession(store, fields) {
+	const id = randomId();
+	const now = Date.now();
+	const session = {
+		id,
+		status: 'active',
+		offset: 0,
+		createdAt: new Date(now).toISOString(),
+		updatedAt: new Date(now).toISOString(),
+		expiresAt: new Date(now + UPLOAD_SESSION_TTL_SECONDS * 1000).toISOString(),
+		...fields,
+	};
+	await putSession(store, session);
+	return session;
+}
+
+export async function getUploadSession(store, id) {
+	if (!/^[a-f0-9]{32}$/.test(id || '')) return null;
+	const session = await store.get(`${SESSION_KEY_PREFIX}${id}`, 'json');
+	if (!session) return null;
+	if (Date.parse(session.expiresAt) <= Date.now()) return null;
+	return session;
+}
+
+// Lists sessions from KV key metadata so no per-session reads are needed
+export async function listUploadSessions(store, { owner = null, cursor, limit = 100 } = {}) {
+	const page = await store.list({ prefix: SESSION_KEY_PREFIX, cursor: cursor || undefined, limit });
+	const sessions = page.keys
+		.map((key) => ({ id: key.name.slice(SESSION_KEY_PREFIX.length), ...(key.metadata || {}) }))
+		.filter((session) => !owner || session.owner === owner)
+		.map((session) => ({ ...session, status: sessionState(session) }));
+	return { sessions, cursor: page.list_complete ? null : page.cursor };
+}
+
+// Sessions that expire before reaching `complete` count as abandoned
+export function sessionState(session, now = Date.now()) {
+	if (session.status !== 'complete' && Date.parse(session.expiresAt) <= now) {
+		return 'abandoned';
+	}
+	return session.status;
+}
+
+// Deletes completed sessions after a day and abandoned ones once their reporting window has
+// passed. KV expiry would drop both eventually, but only at the TTL set on their last write.
+export async function pruneUploadSessions(store, now = Date.now()) {
+	let scanned = 0;
+	let pruned = 0;
+	let cursor;
+	do {
+		const page = await store.list({ prefix: SESSION_KEY_PREFIX, cursor, limit: 1000 });
+		const stale = page.keys.filter(({ metadata }) => isStale(metadata, now));
+		await Promise.all(stale.map((key) => store.delete(key.name)));
+		scanned += page.keys.length;
+		pruned += stale.length;
+		cursor = page.list_complete ? null : page.cursor;
+	} while (cursor && scanned < MAX_PRUNE_SCAN);
+	return { scanned, pruned, complete: !cursor };
+}
+
+export async function updateUploadSession(store, session, changes) {
+	const next = { ...session, ...changes, updatedAt: new Date().toISOString() };
+	await putSession(store, next);
+	return next;
+}
+
+export async function deleteUploadSession(store, id) {
+	await store.delete(`${SESSION_KEY_PREFIX}${id}`);
+}
+
+function isStale(metadata, now) {
+	if (!metadata) return false;
+	if (metadata.status === 'complete') {
+		return Date.parse(metadata.updatedAt) + COMPLETED_RETENTION_SECONDS * 1000 <= now;
+	}
+	return Date.parse(metadata.expiresAt) + ABANDONED_RETENTION_SECONDS * 1000 <= now;
+}
+
+// Strips the Google session URL before a session is shown to clients
+export function publicSession(session) {
+	const { uploadUrl, ...rest } = session;
+	return rest;
+}
+
+async function putSession(store, session) {
+	const ttl = Math.max(60, Math.floor((Date.parse(session.expiresAt) - Date.now()) / 1000) + ABANDONED_RETENTION_SECONDS);
+	const metadata = {
+		owner: session.owner,
+		name: (session.name || '').slice(0, 200),
+		size: session.size,
+		offset: session.offset,
+		status: session.status,
+		fileId: session.fileId || null,
+		createdAt: session.createdAt,
+		updatedAt: session.updatedAt,
+		expiresAt: session.expiresAt,
+	};
+	await store.put(`${SESSION_KEY_PREFIX}${session.id}`, JSON.stringify(session), { expirationTtl: ttl, metadata });
+}
+
+function randomId() {
+	return Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -1,19 +1,205 @@
 // Copyright (c) 2025 tas33n
-import { DriveClient } from './lib/drive.js';
+import { DRIVE_ERROR_CODES, DriveClient, DriveError, LIST_ORDER_FIELDS, LIST_TYPES } from './lib/drive.js';
+import { evaluateAccess, parseAccessRules, resolveRule } from './lib/access-rules.js';
+import { AccountHealth } from './lib/account-health.js';
+import { TokenCache } from './lib/token-cache.js';
+import {
+	DEFAULT_TREE_DEPTH,
+	MAX_TREE_DEPTH,
+	MAX_TREE_ITEMS,
+	buildFolderTree,
+	filterInRoots,
+	isFolder,
+	listDescendants,
+	locateInRoots,
+	resolveFolderRoots,
+} from './lib/folders.js';
+import {
+	CUSTOM_PROPERTY_PREFIX,
+	MAX_APP_PROPERTY_BYTES,
+	MAX_CUSTOM_PROPERTIES,
+	MAX_TAGS,
+	TAG_PROPERTY_PREFIX,
+	appPropertyBytes,
+	buildLabelProperties,
+	buildTagChanges,
+	parseCustomProperties,
+	parseTags,
+	readLabels,
+	tagProperty,
+} from './lib/labels.js';
+import {
+	EXPIRES_AT_PROPERTY,
+	EXPIRING_PROPERTY,
+	buildExpiryProperties,
+	expiryOf,
+	findExpiredFiles,
+	findRetainedFiles,
+	parseExpiry,
+	parseRetentionRules,
+} from './lib/retention.js';
+import {
+	cacheFilePath,
+	ensureFolderPath,
+	forgetFilePath,
+	getCachedPath,
+	invalidatePathCache,
+	parseFilePath,
+	resolveFilePath,
+} from './lib/paths.js';
+import {
+	TUS_CHECKSUM_MAX_BYTES,
+	TUS_CONTENT_TYPE,
+	TUS_REQUEST_HEADERS,
+	TUS_RESPONSE_HEADERS,
+	TUS_VERSION,
+	parseUploadMetadata,
+	tusDiscoveryHeaders,
+	tusHeaders,
+	verifyUploadChecksum,
+} from './lib/tus.js';
+import {
+	UPLOAD_SESSION_STATUSES,
+	createUploadSession,
+	deleteUploadSession,
+	getUploadSession,
+	listUploadSessions,
+	publicSession,
+	pruneUploadSessions,
+	sessionState,
+	updateUploadSession,
+} from './lib/upload-sessions.js';
+import {
+	buildCacheKey,
+	buildValidators,
+	getEdgeCache,
+	isNotModified,
+	notModifiedResponse,
+	purgeCachedFile,
+	resolveEdgeCacheSettings,
+	validatorsFromHeaders,
+} from './lib/edge-cache.js';
+import { checkRateLimit, parseRateLimitRule, rateLimitHeaders } from './lib/rate-limit.js';
+import { pipeToResumableSession } from './lib/stream-upload.js';
+import {
+	fetchRemoteSource,
+	importRemoteFile,
+	parseAllowedHosts,
+	registerImportHooks,
+	remoteContentLength,
+	remoteFileName,
+	remoteMimeType,
+	resolveImportLimits,
+	sanitizeImportHeaders,
+} from './lib/remote-import.js';
+import {
+	DEFAULT_SIGNED_URL_MAX_TTL_SECONDS,
+	DEFAULT_SIGNED_URL_TTL_SECONDS,
+	PRIVATE_VISIBILITY,
+	VISIBILITY_PROPERTY,
+	isPrivateFile,
+	signFileUrl,
+	verifyFileSignature,
+} from './lib/signing.js';
+import {
+	LEGACY_PRINCIPAL,
+	TOKEN_SCOPES,
+	createApiToken,
+	hasScope,
+	hashSecret,
+	listApiTokens,
+	revokeApiToken,
+	rotateApiToken,
+	verifyApiToken,
+} from './lib/tokens.js';
 import dashboardHtml from './index.html';
+export { RateLimiter } from './lib/rate-limit.js';
+export { ImportJob } from './lib/remote-import.js';
 const textDecoder = typeof TextDecoder !== 'undefined' ? new TextDecoder() : null;
 
+registerImportHooks({
+	createDriveClient: async (env) => createDriveClient(await withDefaults(env), env, null),
+	onImported: async (env, file, job) => {
+		const config = await withDefaults(env);
+		await rememberUploadPath(env, job.target.path, file.id || job.target.fileId);
+		if (job.target.replaces) {
+			await purgeCachedFile(env, buildFilesUrl(job.target.fileId, config, job.origin), job.target.fileId);
+		}
+		await trackUpload(env, 'import');
+		return formatImportedFile(file, job.target, config, job.origin);
+	},
+});
+
 const corsHeaders = {
 	'Access-Control-Allow-Origin': '*',
-	'Access-Control-Allow-Headers': 'authorization,content-type,x-api-key',
-	'Access-Control-Allow-Methods': 'GET,POST,DELETE,OPTIONS',
+	'Access-Control-Allow-Headers': ['authorization', 'content-type', 'content-range', 'x-api-key', ...TUS_REQUEST_HEADERS].join(','),
+	'Access-Control-Allow-Methods': 'GET,HEAD,POST,PUT,PATCH,DELETE,OPTIONS',
+	'Access-Control-Expose-Headers': [
+		'range',
+		'retry-after',
+		'x-ratelimit-limit',
+		'x-ratelimit-remaining',
+		'x-ratelimit-reset',
+		...TUS_RESPONSE_HEADERS,
+	].join(','),
 };
 
 const MAX_DIRECT_UPLOAD_BYTES = 10 * 1024 * 1024; // 10MB limit for direct multipart uploads
+const UPLOAD_CHUNK_ALIGNMENT = 256 * 1024; // Google requires non-final chunks in multiples of 256KB
+const RECOMMENDED_CHUNK_BYTES = 8 * 1024 * 1024;
 const DASHBOARD_REPO_URL = 'https://github.com/tas33n/google-drive-cdn-worker';
+const PARENTS_CACHE_HEADER = 'X-Drive-Parents';
+const EXPIRES_CACHE_HEADER = 'X-Drive-Expires-At';
+// Unauthenticated `/api/*` routes, limited per client IP with RATE_LIMIT_API
+const PUBLIC_API_ROUTES = ['stats', 'openapi.json', 'dashboard'];
+const PLACEHOLDER_GIF_BASE64 = 'R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+// Error codes produced by the worker itself; Drive failures add DRIVE_ERROR_CODES
+const API_ERROR_CODES = [
+	'invalid_request',
+	'unauthorized',
+	'forbidden',
+	'not_found',
+	'payload_too_large',
+	'rate_limited',
+	'access_denied',
+	'signature_required',
+	'signature_expired',
+	'invalid_signature',
+	'signing_unavailable',
+	'not_configured',
+	'upload_not_found',
+	'upload_complete',
+	'length_required',
+	'invalid_range',
+	'offset_mismatch',
+	'upload_incomplete',
+	'upload_verification_failed',
+	'upload_interrupted',
+	'import_host_not_allowed',
+	'import_failed',
+	'import_not_found',
+	'import_interrupted',
+	'name_conflict',
+	'method_not_allowed',
+	'unsupported_media_type',
+	'tus_version_unsupported',
+	'checksum_mismatch',
+	'folder_not_empty',
+	'file_expired',
+	'internal_error',
+];
+// Query strings and tus Upload-Metadata carry custom properties as `properties.<key>=value`
+const PROPERTY_PARAM_PREFIX = 'properties.';
 const FILE_COUNT_CACHE_KEY = 'dashboard:file_counts';
-const FILE_COUNT_CACHE_TTL_MS = 5 * 60 * 1000;
+const STORAGE_QUOTA_CACHE_KEY = 'dashboard:storage_quota';
+// The scheduled handler refreshes both snapshots every 10 minutes, so requests only fall back to
+// counting files themselves when cron triggers are not configured
+const SNAPSHOT_CACHE_TTL_MS = 15 * 60 * 1000;
+const MAINTENANCE_REPORT_KEY = 'maintenance:last_run';
+// Tokens are minted ahead when they would expire before the run after next
+const TOKEN_WARM_WINDOW_MS = 20 * 60 * 1000;
 const DEFAULT_FILE_PAGE_SIZE = 24;
+const MAX_DASHBOARD_TAGS = 20;
 const DASHBOARD_VERSION = typeof process !== 'undefined' && process.env?.npm_package_version ? process.env.npm_package_version : '1.0.0';
 const DASHBOARD_ASSET_BASE = 'https://cdn.jsdelivr.net/gh/tas33n/Google-drive-cdn-worker@main/src/assets';
 const DEFAULT_ASSET_CONFIG = {
@@ -34,101 +220,430 @@ const LOCAL_CONFIG = {
 	DASHBOARD_JS_URL: '',
 	DASHBOARD_LOGO_URL: '',
 	DRIVE_PROFILES: '[]',
+	EDGE_CACHE_TTL: '86400',
+	EDGE_CACHE_MAX_BYTES: '',
+	URL_SIGNING_SECRET: '',
+	SIGNED_URL_MAX_TTL: '',
+	RATE_LIMIT_API: '120/60',
+	RATE_LIMIT_FILES: '600/60',
+	ACCESS_RULES: '',
+	TOKEN_CACHE_SECRET: '',
+	IMPORT_ALLOWED_HOSTS: '',
+	IMPORT_MAX_BYTES: '',
+	IMPORT_INLINE_MAX_BYTES: '',
+	RETENTION_RULES: '',
 };
 
 export default {
 	async fetch(request, env, ctx) {
-		if (request.method === 'OPTIONS') {
-			return new Response(null, { status: 204, headers: corsHeaders });
+		const rateLimit = { result: null };
+		return withRateLimitHeaders(await handleRequest(request, env, ctx, rateLimit), rateLimit.result);
+	},
+
+	// Cron Triggers, configured in wrangler.toml
+	async scheduled(controller, env, ctx) {
+		const config = await withDefaults(env);
+		const drive = createDriveClient(config, env, ctx);
+		await runMaintenance(controller, drive, config, env, ctx);
+	},
+};
+
+// Routes one request. `rateLimit.result` collects the tightest limit it was checked against.
+async function handleRequest(request, env, ctx, rateLimit) {
+	const url = new URL(request.url);
+	const path = url.pathname.replace(/\/+/g, '/');
+	const segments = path.split('/').filter(Boolean);
+
+	if (request.method === 'OPTIONS') {
+		// tus clients discover the server's capabilities with OPTIONS
+		const tusDiscovery = segments[0] === 'api' && segments[1] === 'tus' ? tusDiscoveryHeaders() : {};
+		return new Response(null, { status: 204, headers: { ...corsHeaders, ...tusDiscovery } });
+	}
+	const isFileRequest =
+		(segments[0] === 'files' || segments[0] === 'p') && segments[1] && (request.method === 'GET' || request.method === 'HEAD');
+	let configPromise;
+	const getConfig = () => {
+		if (!configPromise) {
+			configPromise = withDefaults(env);
 		}
+		return configPromise;
+	};
+	// Dashboard and Swagger routes (public)
+	if ((segments.length === 0 || path === '/') && request.method === 'GET') {
+		return handleDashboard(request, await getConfig());
+	}
 
-		const url = new URL(request.url);
-		const path = url.pathname.replace(/\/+/g, '/');
-		const segments = path.split('/').filter(Boolean);
-		const isFileRequest = segments[0] === 'files' && segments[1] && (request.method === 'GET' || request.method === 'HEAD');
-		let configPromise;
-		const getConfig = () => {
-			if (!configPromise) {
-				configPromise = withDefaults(env);
-			}
-			return configPromise;
-		};
-		// Dashboard and Swagger routes (public)
-		if ((segments.length === 0 || path === '/') && request.method === 'GET') {
-			return handleDashboard(request, await getConfig());
+	if (segments[0] === 'docs' || segments[0] === 'swagger' || segments[0] === 'api-docs') {
+		return handleSwaggerUI(await getConfig());
+	}
+
+	// Public API routes call Drive without a token, so they are throttled per client IP instead
+	if (segments[0] === 'api' && PUBLIC_API_ROUTES.includes(segments[1]) && request.method === 'GET') {
+		const limited = await enforceRateLimit(env, `public:${clientIp(request)}`, (await getConfig()).RATE_LIMIT_API, rateLimit);
+		if (limited) return limited;
+	}
+
+	if (segments[0] === 'api' && segments[1] === 'stats' && request.method === 'GET') {
+		return handleStats(request, env);
+	}
+
+	if (segments[0] === 'api' && segments[1] === 'openapi.json' && request.method === 'GET') {
+		return handleOpenAPI(request, await getConfig());
+	}
+
+	if (segments[0] === 'api' && segments[1] === 'dashboard') {
+		if (segments[2] === 'summary' && request.method === 'GET') {
+			const config = await getConfig();
+			const drive = createDriveClient(config, env, ctx);
+			return handleDashboardSummary(request, env, config, drive);
+		}
+		if (segments[2] === 'files' && request.method === 'GET') {
+			const config = await getConfig();
+			const drive = createDriveClient(config, env, ctx);
+			return handleDashboardFiles(request, env, config, drive);
+		}
+	}
+
+	const config = await getConfig();
+
+	// Per client IP ahead of the token lookup, so guessing tokens is throttled too
+	if (!isFileRequest) {
+		const limited = await enforceRateLimit(env, `api-ip:${clientIp(request)}`, config.RATE_LIMIT_API, rateLimit);
+		if (limited) return limited;
+	}
+
+	// File delivery is public, API requests require auth
+	const principal = isFileRequest ? null : await authenticateRequest(request, config, env);
+	if (!isFileRequest && !principal) {
+		return errorResponse('unauthorized', 'API key required. Use Authorization: Bearer <token> or x-api-key header.', 401);
+	}
+
+	const limited = await enforceRateLimit(
+		env,
+		await rateLimitKey(request, isFileRequest),
+		isFileRequest ? config.RATE_LIMIT_FILES : config.RATE_LIMIT_API,
+		rateLimit,
+	);
+	if (limited) return limited;
+
+	const drive = createDriveClient(config, env, ctx);
+
+	try {
+		// Track public file requests for statistics
+		if (isFileRequest && segments[0] === 'p') {
+			return await handlePathDelivery(request, url, drive, config, env, ctx);
+		}
+		if (isFileRequest) {
+			ctx.waitUntil(trackFileRequest(env, segments[1]));
+			return await handleFileDelivery(request, segments[1], drive, config, env, ctx, url.origin);
+		}
+
+		if (segments[0] === 'api' && segments[1] === 'admin' && segments[2] === 'tokens') {
+			const denied = requireScope(principal, 'admin');
+			if (denied) return denied;
+			return await handleAdminTokens(request, segments, env);
+		}
+
+		if (segments[0] === 'api' && segments[1] === 'admin' && segments[2] === 'maintenance' && !segments[3] && request.method === 'GET') {
+			const denied = requireScope(principal, 'admin');
+			if (denied) return denied;
+			return await handleAdminMaintenance(env);
 		}
 
-		if (segments[0] === 'docs' || segments[0] === 'swagger' || segments[0] === 'api-docs') {
-			return handleSwaggerUI(await getConfig());
+		if (segments[0] === 'api' && segments[1] === 'admin' && segments[2] === 'service-accounts') {
+			const denied = requireScope(principal, 'admin');
+			if (denied) return denied;
+			return await handleAdminServiceAccounts(request, segments, drive);
 		}
 
-		if (segments[0] === 'api' && segments[1] === 'stats' && request.method === 'GET') {
-			return handleStats(request, env);
+		if (segments[0] === 'api' && segments[1] === 'files' && !segments[2] && request.method === 'GET') {
+			const denied = requireScope(principal, 'files:read');
+			if (denied) return denied;
+			return await handleListFiles(url, drive, config, principal);
 		}
 
-		if (segments[0] === 'api' && segments[1] === 'openapi.json' && request.method === 'GET') {
-			return handleOpenAPI(request, await getConfig());
+		if (segments[0] === 'api' && segments[1] === 'files' && !segments[2] && request.method === 'POST') {
+			const denied = requireScope(principal, 'files:write');
+			if (denied) return denied;
+			const result = await handleMultipartUpload(request, drive, config, env, ctx, url.origin, principal);
+			// Skipped uploads answer 200 with the existing file
+			if (result.status === 201) {
+				ctx.waitUntil(trackUpload(env, 'multipart'));
+			}
+			return result;
 		}
 
-		if (segments[0] === 'api' && segments[1] === 'dashboard') {
-			if (segments[2] === 'summary' && request.method === 'GET') {
-				const config = await getConfig();
-				const drive = new DriveClient(config);
-				return handleDashboardSummary(request, env, config, drive);
+		if (segments[0] === 'api' && segments[1] === 'files' && segments[2] === 'import') {
+			const denied = requireScope(principal, 'files:write');
+			if (denied) return denied;
+			if (!segments[3] && request.method === 'POST') {
+				return await handleImport(request, drive, config, env, ctx, url.origin, principal);
 			}
-			if (segments[2] === 'files' && request.method === 'GET') {
-				const config = await getConfig();
-				const drive = new DriveClient(config);
-				return handleDashboardFiles(request, env, config, drive);
+			if (segments[3] && !segments[4] && request.method === 'GET') {
+				return await handleImportStatus(segments[3], env, principal);
 			}
 		}
 
-		const config = await getConfig();
+		if (segments[0] === 'api' && segments[1] === 'files' && segments[2] === 'batch' && !segments[3] && request.method === 'POST') {
+			// Scopes are checked per operation
+			return await handleBatch(request, drive, config, env, ctx, url.origin, principal);
+		}
 
-		// File delivery is public, API requests require auth
-		if (!isFileRequest && !isAuthorized(request, config.API_TOKENS)) {
-			return errorResponse('unauthorized', 'API key required. Use Authorization: Bearer <token> or x-api-key header.', 401);
+		if (segments[0] === 'api' && segments[1] === 'files' && segments[2] === 'stream' && !segments[3] && request.method === 'PUT') {
+			const denied = requireScope(principal, 'files:write');
+			if (denied) return denied;
+			const result = await handleStreamUpload(request, url, drive, config, env, ctx, principal);
+			if (result.status === 201) {
+				ctx.waitUntil(trackUpload(env, 'stream'));
+			}
+			return result;
 		}
 
-		const drive = new DriveClient(config);
+		if (segments[0] === 'api' && segments[1] === 'uploads' && !segments[2] && request.method === 'POST') {
+			const denied = requireScope(principal, 'files:write');
+			if (denied) return denied;
+			return await handleResumableInit(request, drive, config, env, url.origin, principal);
+		}
 
-		try {
-			// Track public file requests for statistics
-			if (isFileRequest) {
-				ctx.waitUntil(trackFileRequest(env, segments[1]));
-				return await drive.streamFile(segments[1], request.headers.get('Range'), request.method);
-			}
+		if (segments[0] === 'api' && segments[1] === 'uploads' && !segments[2] && request.method === 'GET') {
+			const denied = requireScope(principal, 'files:write');
+			if (denied) return denied;
+			return await handleUploadList(url, env, principal, url.origin);
+		}
 
-			if (segments[0] === 'api' && segments[1] === 'files' && request.method === 'POST') {
-				const result = await handleMultipartUpload(request, drive, config, env, url.origin);
-				ctx.waitUntil(trackUpload(env, 'multipart'));
-				return result;
+		if (segments[0] === 'api' && segments[1] === 'uploads' && segments[3] === 'complete' && !segments[4] && request.method === 'POST') {
+			const denied = requireScope(principal, 'files:write');
+			if (denied) return denied;
+			return await handleUploadComplete(request, segments[2], drive, config, env, ctx, url.origin, principal);
+		}
+
+		if (segments[0] === 'api' && segments[1] === 'tus' && !segments[3]) {
+			const denied = requireScope(principal, 'files:write');
+			if (denied) return denied;
+			return await handleTus(request, segments[2], drive, config, env, ctx, url.origin, principal);
+		}
+
+		if (segments[0] === 'api' && segments[1] === 'uploads' && segments[2] && !segments[3]) {
+			const denied = requireScope(principal, 'files:write');
+			if (denied) return denied;
+			if (request.method === 'PUT') {
+				return await handleUploadChunk(request, segments[2], drive, config, env, url.origin, principal);
+			}
+			if (request.method === 'GET') {
+				return await handleUploadStatus(segments[2], drive, config, env, url.origin, principal);
+			}
+			if (request.method === 'DELETE') {
+				return await handleUploadCancel(segments[2], drive, env, principal);
 			}
+		}
 
-			if (segments[0] === 'api' && segments[1] === 'uploads' && request.method === 'POST') {
-				const result = await handleResumableInit(request, drive);
-				ctx.waitUntil(trackUpload(env, 'resumable'));
-				return result;
+		if (
+			segments[0] === 'api' &&
+			segments[1] === 'files' &&
+			segments[2] &&
+			segments[3] === 'content' &&
+			!segments[4] &&
+			request.method === 'PUT'
+		) {
+			const denied = requireScope(principal, 'files:write');
+			if (denied) return denied;
+			return await handleReplaceContent(request, url, segments[2], drive, config, env, ctx, principal);
+		}
+
+		if (
+			segments[0] === 'api' &&
+			segments[1] === 'files' &&
+			segments[2] &&
+			segments[3] === 'revisions' &&
+			!segments[4] &&
+			request.method === 'GET'
+		) {
+			const denied = requireScope(principal, 'files:read');
+			if (denied) return denied;
+			return await handleRevisions(url, segments[2], drive, config, principal);
+		}
+
+		if (segments[0] === 'api' && segments[1] === 'files' && segments[2] && segments[3] === 'sign' && request.method === 'POST') {
+			const denied = requireScope(principal, 'files:read');
+			if (denied) return denied;
+			return await handleSignUrl(request, segments[2], drive, config, url.origin, principal);
+		}
+
+		if (segments[0] === 'api' && segments[1] === 'folders') {
+			if (!segments[2] && request.method === 'POST') {
+				const denied = requireScope(principal, 'files:write');
+				if (denied) return denied;
+				return await handleCreateFolder(request, drive, principal);
 			}
+			if (segments[2] && !segments[3] && request.method === 'GET') {
+				const denied = requireScope(principal, 'files:read');
+				if (denied) return denied;
+				return await handleListFolder(url, segments[2], drive, config, principal);
+			}
+			if (segments[2] && segments[3] === 'tree' && !segments[4] && request.method === 'GET') {
+				const denied = requireScope(principal, 'files:read');
+				if (denied) return denied;
+				return await handleFolderTree(url, segments[2], drive, config, principal);
+			}
+			if (segments[2] && !segments[3] && request.method === 'DELETE') {
+				const denied = requireScope(principal, 'files:delete');
+				if (denied) return denied;
+				return await handleDeleteFolder(url, segments[2], drive, config, env, ctx, principal);
+			}
+		}
 
-			if (segments[0] === 'api' && segments[1] === 'files' && segments[2]) {
-				if (request.method === 'GET') {
-					return await handleMetadata(segments[2], drive, config, url.origin);
+		if (segments[0] === 'api' && segments[1] === 'files' && segments[2] && !segments[3]) {
+			if (request.method === 'GET') {
+				const denied = requireScope(principal, 'files:read');
+				if (denied) return denied;
+				return await handleMetadata(segments[2], drive, config, url.origin, principal);
+			}
+			if (request.method === 'PATCH') {
+				const denied = requireScope(principal, 'files:write');
+				if (denied) return denied;
+				const result = await handleUpdateMetadata(request, segments[2], drive, config, env, url.origin, principal);
+				if (result.ok) {
+					// Name and parents feed the cached response headers and access rules
+					ctx.waitUntil(purgeCachedFile(env, buildFilesUrl(segments[2], config, url.origin), segments[2]));
 				}
-				if (request.method === 'DELETE') {
-					const result = await handleDelete(segments[2], drive);
+				return result;
+			}
+			if (request.method === 'DELETE') {
+				const denied = requireScope(principal, 'files:delete');
+				if (denied) return denied;
+				const result = await handleDelete(segments[2], drive, env, principal);
+				if (result.ok) {
+					ctx.waitUntil(purgeCachedFile(env, buildFilesUrl(segments[2], config, url.origin), segments[2]));
 					ctx.waitUntil(trackDelete(env));
-					return result;
 				}
+				return result;
 			}
+		}
 
-			return errorResponse('not_found', 'Endpoint not found', 404);
-		} catch (err) {
-			console.error(err);
-			return errorResponse('internal_error', err.message, 500);
+		return errorResponse('not_found', 'Endpoint not found', 404);
+	} catch (err) {
+		if (err instanceof DriveError) {
+			console.warn(err.message);
+			return driveErrorResponse(err);
 		}
-	},
-};
+		console.error(err);
+		return errorResponse('internal_error', err.message, 500);
+	}
+}
+
+// Runs every maintenance task even when an earlier one fails and stores the outcome for
+// GET /api/admin/maintenance. Tasks report `ok`, `partial` (some items or scans failed), `failed` or `skipped`.
+async function runMaintenance(controller, drive, config, env, ctx) {
+	const startedAt = Date.now();
+	const tasks = {};
+	const run = async (name, task) => {
+		const taskStartedAt = Date.now();
+		try {
+			const result = await task();
+			tasks[name] = { status: result.skipped ? 'skipped' : result.failed || result.errors?.length ? 'partial' : 'ok', ...result };
+		} catch (error) {
+			console.error(`Maintenance task ${name} failed:`, error);
+			tasks[name] = { status: 'failed', error: error.message };
+		}
+		tasks[name].durationMs = Date.now() - taskStartedAt;
+	};
+
+	// Tokens first so the Drive calls below already find them
+	await run('tokens', async () => {
+		const accounts = await drive.warmAccessTokens(TOKEN_WARM_WINDOW_MS);
+		if (!accounts.length) throw new Error('No service accounts or OAuth credentials configured');
+		return { accounts, failed: accounts.filter((account) => account.error).length };
+	});
+	await run('cleanup', () => runFileCleanup(drive, config, env, ctx));
+	await run('fileCounts', async () => {
+		if (!env?.STATS) return { skipped: 'STATS KV namespace not bound' };
+		const { totalFiles, folderCount, complete } = await getFileCountsSnapshot(env, drive, { refresh: true });
+		return { totalFiles, folderCount, complete };
+	});
+	await run('storageQuota', async () => {
+		if (!env?.STATS) return { skipped: 'STATS KV namespace not bound' };
+		const { usedBytes, totalBytes } = formatStorageQuota(await getStorageQuotaSnapshot(env, drive, { refresh: true }));
+		return { usedBytes, totalBytes };
+	});
+	await run('uploadSessions', async () => {
+		if (!env?.UPLOAD_SESSIONS) return { skipped: 'UPLOAD_SESSIONS KV namespace not bound' };
+		return pruneUploadSessions(env.UPLOAD_SESSIONS);
+	});
+
+	const statuses = Object.values(tasks).map((task) => task.status);
+	const report = {
+		status: statuses.includes('failed') ? 'failed' : statuses.includes('partial') ? 'partial' : 'ok',
+		cron: controller.cron,
+		scheduledTime: new Date(controller.scheduledTime).toISOString(),
+		startedAt: new Date(startedAt).toISOString(),
+		finishedAt: new Date().toISOString(),
+		durationMs: Date.now() - startedAt,
+		tasks,
+	};
+	if (env?.STATS) {
+		try {
+			await env.STATS.put(MAINTENANCE_REPORT_KEY, JSON.stringify(report));
+		} catch (error) {
+			console.warn('Failed to store the maintenance report:', error);
+		}
+	}
+	return report;
+}
+
+// Deletes expired files and files past a RETENTION_RULES limit. A failed scan is logged and skipped
+// so the others still run. Each scan is capped per run; the expiry scan resumes where the last run
+// stopped and retention scans only see files still due, so the next run continues the work.
+async function runFileCleanup(drive, config, env, ctx) {
+	const now = Date.now();
+	const found = new Map();
+	const errors = [];
+	let expired = 0;
+	let retained = 0;
+	// Drive cannot query by ancestry, so every candidate is checked against DRIVE_UPLOAD_ROOT before it
+	// is deleted; files this worker did not upload can carry the same appProperties
+	let roots;
+	const keepInRoots = async (files) => filterInRoots(drive, files, await (roots ||= resolveFolderRoots(drive, drive.parents)));
+	try {
+		const files = await keepInRoots(await findExpiredFiles(drive, env?.STATS, now));
+		files.forEach((file) => found.set(file.id, file));
+		expired = files.length;
+	} catch (error) {
+		console.warn('Expired file scan failed:', error.message);
+		errors.push(`Expired file scan: ${error.message}`);
+	}
+	for (const rule of parseRetentionRules(config.RETENTION_RULES)) {
+		try {
+			const files = await keepInRoots(await findRetainedFiles(drive, rule, now));
+			files.forEach((file) => found.set(file.id, file));
+			retained += files.length;
+		} catch (error) {
+			console.warn(`Retention scan of folder ${rule.folderId} failed:`, error.message);
+			errors.push(`Retention scan of ${rule.folderId}: ${error.message}`);
+		}
+	}
+
+	const ids = [...found.keys()];
+	const outcomes = ids.length ? await drive.batchDelete(ids) : [];
+	const deleted = ids.filter((id, position) => !outcomes[position].error);
+	outcomes.forEach((outcome, position) => {
+		if (outcome.error) console.warn(`Cleanup could not delete ${ids[position]}:`, outcome.error.message);
+	});
+	for (const id of deleted) {
+		ctx.waitUntil(purgeCachedFile(env, buildFilesUrl(id, config), id));
+		ctx.waitUntil(forgetFilePath(env?.STATS, id));
+	}
+	await trackDelete(env, deleted.length);
+	return { expired, retained, deleted: deleted.length, failed: ids.length - deleted.length, errors };
+}
+
+function createDriveClient(config, env, ctx) {
+	const waitUntil = ctx ? (promise) => ctx.waitUntil(promise) : null;
+	return new DriveClient(config, {
+		health: new AccountHealth(env?.STATS),
+		tokenCache: new TokenCache({ store: env?.STATS, secret: config.TOKEN_CACHE_SECRET, waitUntil }),
+		waitUntil,
+	});
+}
 
 function handleSwaggerUI(config) {
 	const html = generateSwaggerHTML(config);
@@ -148,6 +663,38 @@ async function handleStats(request, env) {
 async function handleOpenAPI(request, config) {
 	const baseUrl = config.CDN_BASE_URL || new URL(request.url).origin;
 
+	const errorContent = { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } };
+	const onConflict = {
+		type: 'string',
+		enum: CONFLICT_POLICIES,
+		description:
+			'What to do when the folder already has a file with this name: `rename` to `name (1).ext`, `overwrite` with a new revision (same ID; description, tags, properties, expiry and `private` are then rejected with 400 because the existing file keeps its own), `skip` and return the existing file, or `fail` with 409. Duplicates are allowed when omitted.',
+	};
+	const tagsSchema = {
+		type: 'array',
+		maxItems: MAX_TAGS,
+		items: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' },
+		description: 'Labels such as `campaign-spring`; stored lowercase',
+	};
+	const propertiesSchema = {
+		type: 'object',
+		maxProperties: MAX_CUSTOM_PROPERTIES,
+		additionalProperties: { type: 'string' },
+		description: 'Key/value pairs such as `{ "project": "site", "env": "prod" }`',
+	};
+	const expiresAtSchema = {
+		type: 'string',
+		format: 'date-time',
+		description: 'Delete the file at this time; `/files/{id}` answers 410 from then on',
+	};
+	const ttlSecondsSchema = { type: 'integer', minimum: 1, description: 'Alternative to `expiresAt`, counted from the upload' };
+	const driveErrors = {
+		403: { $ref: '#/components/responses/DriveForbidden' },
+		404: { $ref: '#/components/responses/DriveNotFound' },
+		429: { $ref: '#/components/responses/DriveRateLimited' },
+		502: { $ref: '#/components/responses/DriveUnavailable' },
+	};
+
 	const openApiSpec = {
 		openapi: '3.0.0',
 		info: {
@@ -163,11 +710,93 @@ async function handleOpenAPI(request, config) {
 		servers: [{ url: baseUrl, description: 'Production server' }],
 		tags: [
 			{ name: 'Files', description: 'File upload and management operations' },
+			{ name: 'Folders', description: 'Folder management below DRIVE_UPLOAD_ROOT' },
 			{ name: 'Public Files', description: 'Public delivery endpoints (no authentication required)' },
 			{ name: 'Statistics', description: 'Service statistics' },
+			{ name: 'Admin', description: 'Administrative operations (requires the `admin` scope)' },
 		],
 		paths: {
 			'/api/files': {
+				get: {
+					tags: ['Files'],
+					summary: 'List files',
+					description:
+						'Lists the upload root, the token folder or `parent`, newest first by default. Pass `nextCursor` back as `cursor` with the same filters for the next page. `minSize`, `maxSize` and `namePrefix` are applied by the worker, so a page can hold fewer than `pageSize` items; only a null `nextCursor` ends the listing. Full-text queries are sorted by relevance and ignore `sort`.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [
+						{ name: 'cursor', in: 'query', schema: { type: 'string' } },
+						{ name: 'pageSize', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 24 } },
+						{ name: 'parent', in: 'query', schema: { type: 'string' }, description: 'Folder to list; must be inside the upload root' },
+						{ name: 'type', in: 'query', schema: { type: 'string', enum: LIST_TYPES } },
+						{ name: 'mimeType', in: 'query', schema: { type: 'string' }, description: 'Exact type, or `image/*` for a family' },
+						{ name: 'namePrefix', in: 'query', schema: { type: 'string' }, description: 'Case-insensitive name prefix' },
+						{
+							name: 'nameContains',
+							in: 'query',
+							schema: { type: 'string' },
+							description: 'Drive `name contains` match, which looks for words of the name starting with the value',
+						},
+						{ name: 'fullText', in: 'query', schema: { type: 'string' }, description: 'Searches names, descriptions and content' },
+						...LIST_DATE_FILTERS.map((name) => ({
+							name,
+							in: 'query',
+							schema: { type: 'string', format: 'date-time' },
+							description: name.endsWith('After') ? 'Inclusive' : 'Exclusive',
+						})),
+						{ name: 'minSize', in: 'query', schema: { type: 'integer', minimum: 0 }, description: 'Bytes; excludes folders' },
+						{ name: 'maxSize', in: 'query', schema: { type: 'integer', minimum: 0 }, description: 'Bytes; excludes folders' },
+						{
+							name: 'appProperties',
+							in: 'query',
+							style: 'deepObject',
+							schema: { type: 'object', additionalProperties: { type: 'string' } },
+							description: 'Exact matches, written as `appProperties.<key>=<value>`',
+						},
+						{
+							name: 'tag',
+							in: 'query',
+							schema: { type: 'array', items: { type: 'string' } },
+							explode: true,
+							description: 'Repeat to require several tags',
+						},
+						{
+							name: 'properties',
+							in: 'query',
+							style: 'deepObject',
+							schema: { type: 'object', additionalProperties: { type: 'string' } },
+							description: 'Exact matches on custom properties, written as `properties.<key>=<value>`',
+						},
+						{ name: 'sort', in: 'query', schema: { type: 'string', enum: Object.keys(LIST_ORDER_FIELDS), default: 'modifiedTime' } },
+						{
+							name: 'order',
+							in: 'query',
+							schema: { type: 'string', enum: ['asc', 'desc'] },
+							description: 'Defaults to asc for name, desc otherwise',
+						},
+					],
+					responses: {
+						200: {
+							description: 'A page of files',
+							content: {
+								'application/json': {
+									schema: {
+										type: 'object',
+										properties: {
+											files: { type: 'array', items: { $ref: '#/components/schemas/ListedFile' } },
+											nextCursor: { type: 'string', nullable: true },
+											pageSize: { type: 'integer' },
+										},
+									},
+								},
+							},
+						},
+						400: { description: 'Invalid filter', content: errorContent },
+						401: { description: 'Unauthorized' },
+						403: { description: 'Missing `files:read` or `parent` is outside the allowed folder', content: errorContent },
+						404: driveErrors[404],
+						429: driveErrors[429],
+					},
+				},
 				post: {
 					tags: ['Files'],
 					summary: 'Upload a file (multipart)',
@@ -185,7 +814,8 @@ async function handleOpenAPI(request, config) {
 										file: { type: 'string', format: 'binary', description: 'The file to upload' },
 										metadata: {
 											type: 'string',
-											description: 'JSON string with metadata: { "name": "filename.jpg", "parents": ["folderId"], "description": "..." }',
+											description:
+												'JSON string with metadata: { "name": "filename.jpg", "parents": ["folderId"], "description": "...", "private": false, "onConflict": "rename", "tags": ["web"], "properties": { "env": "prod" }, "ttlSeconds": 86400 }. `expiresAt` or `ttlSeconds` makes the file expire. Send `path` instead of `name`/`parents` to place the file by path.',
 											example: '{"name":"image.jpg","parents":["root"]}',
 										},
 									},
@@ -214,15 +844,18 @@ async function handleOpenAPI(request, config) {
 						400: { description: 'Bad request' },
 						401: { description: 'Unauthorized - API key required' },
 						413: { description: 'File too large - use /api/uploads for resumable uploads' },
+						429: driveErrors[429],
+						502: driveErrors[502],
+						507: { $ref: '#/components/responses/DriveStorageFull' },
 					},
 				},
 			},
-			'/api/uploads': {
+			'/api/files/import': {
 				post: {
 					tags: ['Files'],
-					summary: 'Initialize resumable upload',
+					summary: 'Import from URL',
 					description:
-						'Create a resumable upload session for large files. Use the returned uploadUrl to stream chunks directly to Google Drive.',
+						'Stream a remote file into Drive. Hosts must be listed in IMPORT_ALLOWED_HOSTS. Small sources return 201 with the uploaded file; large or unknown-length sources return 202 with a job to poll. The size comes from a HEAD request, so the source is downloaded only once; a HEAD failure other than 405 or 501 is returned right away as `import_failed`.',
 					security: [{ bearerAuth: [] }, { apiKey: [] }],
 					requestBody: {
 						required: true,
@@ -230,306 +863,3328 @@ async function handleOpenAPI(request, config) {
 							'application/json': {
 								schema: {
 									type: 'object',
-									required: ['name'],
+									required: ['url'],
 									properties: {
-										name: { type: 'string', description: 'File name' },
-										mimeType: { type: 'string', description: 'MIME type (e.g., video/mp4)' },
-										size: { type: 'integer', description: 'File size in bytes' },
-										parents: { type: 'array', items: { type: 'string' }, description: 'Parent folder IDs' },
+										url: { type: 'string' },
+										name: { type: 'string', description: 'Defaults to Content-Disposition or the URL path' },
+										parents: { type: 'array', items: { type: 'string' } },
+										path: {
+											type: 'string',
+											description:
+												'Path below DRIVE_UPLOAD_ROOT such as `static/app/main.js`; missing folders are created. Replaces `name` and `parents`',
+										},
+										onConflict,
+										headers: { type: 'object', additionalProperties: { type: 'string' }, description: 'Headers sent to the source' },
 										description: { type: 'string' },
+										private: { type: 'boolean' },
+										tags: tagsSchema,
+										properties: propertiesSchema,
+										expiresAt: expiresAtSchema,
+										ttlSeconds: ttlSecondsSchema,
 									},
 								},
 							},
 						},
 					},
 					responses: {
-						201: {
-							description: 'Upload session created',
-							content: {
-								'application/json': {
-									schema: {
-										type: 'object',
-										properties: {
-											uploadUrl: { type: 'string', description: 'URL to upload chunks to' },
-											uploadId: { type: 'string' },
-											fileId: { type: 'string' },
-										},
-									},
-								},
-							},
-						},
-						400: { description: 'Bad request' },
-						401: { description: 'Unauthorized' },
+						201: { description: 'File imported (same shape as POST /api/files)' },
+						202: { description: 'Import queued', content: { 'application/json': { schema: { $ref: '#/components/schemas/ImportJob' } } } },
+						400: { description: 'Invalid body', content: errorContent },
+						403: { description: 'Host not allowed (`import_host_not_allowed`)', content: errorContent },
+						413: { description: 'Source exceeds IMPORT_MAX_BYTES', content: errorContent },
+						501: { description: 'IMPORT_ALLOWED_HOSTS or IMPORT_JOBS not configured', content: errorContent },
+						502: { description: 'Source or Drive failed (`import_failed`, `drive_unavailable`)', content: errorContent },
 					},
 				},
 			},
-			'/api/files/{id}': {
+			'/api/files/import/{jobId}': {
 				get: {
 					tags: ['Files'],
-					summary: 'Get file metadata',
-					description: 'Retrieve metadata for a file including its public URL',
+					summary: 'Import job progress',
 					security: [{ bearerAuth: [] }, { apiKey: [] }],
-					parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Google Drive file ID' }],
+					parameters: [{ name: 'jobId', in: 'path', required: true, schema: { type: 'string' } }],
+					responses: {
+						200: { description: 'Job state', content: { 'application/json': { schema: { $ref: '#/components/schemas/ImportJob' } } } },
+						404: { description: 'Unknown job (`import_not_found`)', content: errorContent },
+					},
+				},
+			},
+			'/api/files/batch': {
+				post: {
+					tags: ['Files'],
+					summary: 'Batch file operations',
+					description:
+						'Run up to 500 `get`, `delete`, `move` and `update` operations through Drive batch requests. Each operation needs the scope of its single-file endpoint. The response always has status 200 and carries one result per operation, in order, with the status and error code the single call would have returned.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					requestBody: {
+						required: true,
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									required: ['operations'],
+									properties: {
+										operations: {
+											type: 'array',
+											maxItems: 500,
+											items: {
+												type: 'object',
+												required: ['op', 'id'],
+												properties: {
+													op: { type: 'string', enum: ['get', 'delete', 'move', 'update'] },
+													id: { type: 'string', description: 'Google Drive file ID' },
+													parentId: { type: 'string', description: '`move` only: folder that replaces the current parents' },
+												},
+												additionalProperties: {
+													description: '`update` takes the same fields as PATCH /api/files/{id}',
+												},
+											},
+										},
+									},
+								},
+								example: {
+									operations: [
+										{ op: 'delete', id: 'FILE_ID_1' },
+										{ op: 'move', id: 'FILE_ID_2', parentId: 'ARCHIVE_FOLDER_ID' },
+										{ op: 'update', id: 'FILE_ID_3', name: 'renamed.png' },
+										{ op: 'get', id: 'FILE_ID_4' },
+									],
+								},
+							},
+						},
+					},
 					responses: {
 						200: {
-							description: 'File metadata',
+							description: 'One result per operation',
 							content: {
 								'application/json': {
 									schema: {
 										type: 'object',
 										properties: {
-											id: { type: 'string' },
-											name: { type: 'string' },
-											size: { type: 'string' },
-											mimeType: { type: 'string' },
-											rawUrl: { type: 'string', description: 'Public file URL' },
+											results: {
+												type: 'array',
+												items: {
+													type: 'object',
+													properties: {
+														index: { type: 'integer' },
+														op: { type: 'string' },
+														id: { type: 'string' },
+														status: { type: 'integer', description: 'HTTP status the single call would have returned' },
+														data: { type: 'object', description: 'Present on success' },
+														error: {
+															type: 'object',
+															description: 'Present on failure; same shape as the `error` of other responses',
+															properties: {
+																code: { type: 'string', enum: API_ERROR_CODES },
+																message: { type: 'string' },
+																details: { type: 'object' },
+															},
+														},
+													},
+												},
+											},
+											succeeded: { type: 'integer' },
+											failed: { type: 'integer' },
 										},
 									},
 								},
 							},
 						},
+						400: { description: 'Malformed body or more than 500 operations', content: errorContent },
 						401: { description: 'Unauthorized' },
-						404: { description: 'File not found' },
+						429: driveErrors[429],
+						502: driveErrors[502],
 					},
 				},
-				delete: {
+			},
+			'/api/files/stream': {
+				put: {
 					tags: ['Files'],
-					summary: 'Delete a file',
-					description: 'Delete a file from Google Drive',
+					summary: 'Stream upload',
+					description:
+						'Upload the raw request body without client-side chunking. The body is streamed to Drive in 16 MiB chunks and never buffered whole.',
 					security: [{ bearerAuth: [] }, { apiKey: [] }],
-					parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Google Drive file ID' }],
+					parameters: [
+						{ name: 'name', in: 'query', schema: { type: 'string' }, description: 'Required unless `path` is given' },
+						{
+							name: 'path',
+							in: 'query',
+							schema: { type: 'string' },
+							description:
+								'Path below DRIVE_UPLOAD_ROOT such as `static/app/main.js`; missing folders are created. Replaces `name` and `parents`',
+						},
+						{ name: 'onConflict', in: 'query', schema: onConflict },
+						{ name: 'mimeType', in: 'query', schema: { type: 'string' }, description: 'Defaults to the Content-Type header' },
+						{ name: 'parents', in: 'query', schema: { type: 'string' }, description: 'Comma separated parent folder IDs' },
+						{ name: 'description', in: 'query', schema: { type: 'string' } },
+						{ name: 'private', in: 'query', schema: { type: 'boolean' } },
+						{ name: 'tags', in: 'query', schema: { type: 'string' }, description: 'Comma separated tags' },
+						{ name: 'expiresAt', in: 'query', schema: expiresAtSchema },
+						{ name: 'ttlSeconds', in: 'query', schema: ttlSecondsSchema },
+						{
+							name: 'properties',
+							in: 'query',
+							style: 'deepObject',
+							schema: propertiesSchema,
+							description: 'Written as `properties.<key>=<value>`',
+						},
+					],
+					requestBody: { required: true, content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
 					responses: {
-						204: { description: 'File deleted successfully' },
+						201: { description: 'File uploaded (same shape as POST /api/files)' },
+						400: { description: 'Missing name, or the connection dropped mid-way (`upload_interrupted`)', content: errorContent },
 						401: { description: 'Unauthorized' },
-						404: { description: 'File not found' },
+						429: driveErrors[429],
+						502: driveErrors[502],
+						507: { $ref: '#/components/responses/DriveStorageFull' },
 					},
 				},
 			},
-			'/files/{id}': {
+			'/api/uploads': {
 				get: {
-					tags: ['Public Files'],
-					summary: 'Access file via public URL',
-					description: 'Public endpoint to access files. No authentication required. Supports Range requests for video streaming.',
+					tags: ['Files'],
+					summary: 'List upload sessions',
+					description:
+						'Sessions created by the calling token (all sessions for admin tokens). Expired sessions that never completed are `abandoned`.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
 					parameters: [
-						{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Google Drive file ID' },
-						{ name: 'Range', in: 'header', schema: { type: 'string' }, description: 'Byte range for partial content (e.g., bytes=0-1023)' },
+						{
+							name: 'status',
+							in: 'query',
+							schema: { type: 'string', enum: ['active', 'uploaded', 'complete', 'abandoned'] },
+						},
+						{ name: 'limit', in: 'query', schema: { type: 'integer', default: 100, maximum: 1000 } },
+						{ name: 'cursor', in: 'query', schema: { type: 'string' } },
 					],
 					responses: {
-						200: { description: 'File content' },
-						206: { description: 'Partial content (Range request)' },
-						404: { description: 'File not found' },
+						200: { description: 'Upload sessions and the cursor of the next page' },
+						501: { description: 'UPLOAD_SESSIONS KV namespace not bound', content: errorContent },
 					},
 				},
-				head: {
-					tags: ['Public Files'],
-					summary: 'Get file headers',
-					description: 'Get file metadata via HEAD request',
-					parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Google Drive file ID' }],
-					responses: {
-						200: { description: 'File headers' },
-						404: { description: 'File not found' },
+				post: {
+					tags: ['Files'],
+					summary: 'Initialize resumable upload',
+					description:
+						'Create a resumable upload session for large files. Send the bytes in chunks to the returned uploadUrl on this Worker.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					requestBody: {
+						required: true,
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										name: { type: 'string', description: 'File name, required unless `path` is given' },
+										mimeType: { type: 'string', description: 'MIME type (e.g., video/mp4)' },
+										size: { type: 'integer', description: 'File size in bytes' },
+										parents: { type: 'array', items: { type: 'string' }, description: 'Parent folder IDs' },
+										path: {
+											type: 'string',
+											description:
+												'Path below DRIVE_UPLOAD_ROOT such as `static/app/main.js`; missing folders are created. Replaces `name` and `parents`',
+										},
+										onConflict,
+										description: { type: 'string' },
+										private: { type: 'boolean', description: 'Serve the file only through signed URLs' },
+										tags: tagsSchema,
+										properties: propertiesSchema,
+										expiresAt: expiresAtSchema,
+										ttlSeconds: ttlSecondsSchema,
+									},
+								},
+							},
+						},
 					},
-				},
-			},
-			'/api/stats': {
-				get: {
-					tags: ['Statistics'],
-					summary: 'Get service statistics',
-					description: 'Get usage statistics (public endpoint)',
+					responses: {
+						201: {
+							description: 'Upload session created',
+							content: {
+								'application/json': {
+									schema: {
+										type: 'object',
+										properties: {
+											uploadSession: { $ref: '#/components/schemas/UploadSession' },
+											fileId: { type: 'string', description: 'Drive ID reserved for the file' },
+											rawUrl: { type: 'string', description: 'CDN URL the file will be served from once uploaded' },
+											visibility: { type: 'string', enum: ['public', 'private'] },
+										},
+									},
+								},
+							},
+						},
+						400: { description: 'Bad request' },
+						401: { description: 'Unauthorized' },
+						429: driveErrors[429],
+						501: { description: 'UPLOAD_SESSIONS KV namespace not bound', content: errorContent },
+						502: driveErrors[502],
+						507: { $ref: '#/components/responses/DriveStorageFull' },
+					},
+				},
+			},
+			'/api/uploads/{sessionId}/complete': {
+				post: {
+					tags: ['Files'],
+					summary: 'Complete a resumable upload',
+					description:
+						'Verify the uploaded file on Drive (size, and md5 when given) and count it in the upload statistics. Calling it again returns the same metadata.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [{ name: 'sessionId', in: 'path', required: true, schema: { type: 'string' } }],
+					requestBody: {
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										md5: { type: 'string', description: 'Expected MD5 hex digest' },
+										size: { type: 'integer', description: 'Expected size in bytes (defaults to the size given at init)' },
+									},
+								},
+							},
+						},
+					},
+					responses: {
+						200: { description: 'Drive metadata with rawUrl' },
+						404: { description: 'Unknown or expired session', content: errorContent },
+						409: { description: 'Upload has not finished (`upload_incomplete`)', content: errorContent },
+						422: { description: 'Size or md5 mismatch (`upload_verification_failed`)', content: errorContent },
+						502: driveErrors[502],
+					},
+				},
+			},
+			'/api/uploads/{sessionId}': {
+				put: {
+					tags: ['Files'],
+					summary: 'Upload a chunk',
+					description:
+						'Forward one chunk to the Google resumable session. Non-final chunks must be a multiple of 256 KiB. Without Content-Range the body is treated as the whole file.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [
+						{ name: 'sessionId', in: 'path', required: true, schema: { type: 'string' } },
+						{ name: 'Content-Range', in: 'header', schema: { type: 'string', example: 'bytes 0-8388607/1073741824' } },
+					],
+					requestBody: { required: true, content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+					responses: {
+						201: { description: 'Upload finished; data.file holds the Drive metadata and rawUrl' },
+						308: {
+							description: 'Chunk stored, upload incomplete',
+							headers: { Range: { schema: { type: 'string' }, description: 'Committed bytes, e.g. bytes=0-8388607' } },
+						},
+						400: { description: 'Malformed Content-Range', content: errorContent },
+						404: { description: 'Unknown or expired session', content: errorContent },
+						409: { description: 'Chunk does not start at the committed offset, or upload already finished', content: errorContent },
+						410: { description: 'Google discarded the resumable session', content: errorContent },
+						411: { description: 'Content-Length missing', content: errorContent },
+						502: driveErrors[502],
+					},
+				},
+				get: {
+					tags: ['Files'],
+					summary: 'Get upload progress',
+					description: 'Report the committed offset so an interrupted upload can resume.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [{ name: 'sessionId', in: 'path', required: true, schema: { type: 'string' } }],
 					responses: {
 						200: {
-							description: 'Statistics',
+							description: 'Session state',
+							content: { 'application/json': { schema: { $ref: '#/components/schemas/UploadSession' } } },
+						},
+						404: { description: 'Unknown or expired session', content: errorContent },
+						410: { description: 'Google discarded the resumable session', content: errorContent },
+					},
+				},
+				delete: {
+					tags: ['Files'],
+					summary: 'Cancel an upload',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [{ name: 'sessionId', in: 'path', required: true, schema: { type: 'string' } }],
+					responses: {
+						200: { description: 'Upload cancelled' },
+						404: { description: 'Unknown or expired session', content: errorContent },
+					},
+				},
+			},
+			'/api/tus': {
+				post: {
+					tags: ['Files'],
+					summary: 'Create a tus upload',
+					description:
+						'tus 1.0 creation endpoint (extensions: creation, termination, checksum, expiration). Upload-Metadata must include `filename` or `path`; `filetype`, `description`, `parents`, `private`, `onConflict` (except `skip`), `tags` (comma separated), `properties.<key>`, `expiresAt` and `ttlSeconds` are optional.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [
+						{ name: 'Tus-Resumable', in: 'header', required: true, schema: { type: 'string', enum: ['1.0.0'] } },
+						{ name: 'Upload-Length', in: 'header', required: true, schema: { type: 'integer' } },
+						{ name: 'Upload-Metadata', in: 'header', schema: { type: 'string' } },
+					],
+					responses: {
+						201: {
+							description: 'Upload created',
+							headers: {
+								Location: { schema: { type: 'string' } },
+								'Upload-Expires': { schema: { type: 'string' } },
+							},
+						},
+						400: { description: 'Missing Upload-Length or filename', content: errorContent },
+						412: { description: 'Unsupported Tus-Resumable version', content: errorContent },
+						502: driveErrors[502],
+					},
+				},
+			},
+			'/api/tus/{uploadId}': {
+				head: {
+					tags: ['Files'],
+					summary: 'Get tus upload offset',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [{ name: 'uploadId', in: 'path', required: true, schema: { type: 'string' } }],
+					responses: {
+						200: {
+							description: 'Current offset',
+							headers: {
+								'Upload-Offset': { schema: { type: 'integer' } },
+								'Upload-Length': { schema: { type: 'integer' } },
+							},
+						},
+						404: { description: 'Unknown or expired upload' },
+					},
+				},
+				patch: {
+					tags: ['Files'],
+					summary: 'Append a tus chunk',
+					description: 'Non-final chunks must be a multiple of 256 KiB. The final response carries X-File-Id and X-File-Url.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [
+						{ name: 'uploadId', in: 'path', required: true, schema: { type: 'string' } },
+						{ name: 'Upload-Offset', in: 'header', required: true, schema: { type: 'integer' } },
+						{ name: 'Upload-Checksum', in: 'header', schema: { type: 'string', example: 'sha1 Kq5sNclPz7QV2+lfQIuc6R7oRu0=' } },
+					],
+					requestBody: { required: true, content: { 'application/offset+octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+					responses: {
+						204: {
+							description: 'Chunk stored',
+							headers: {
+								'Upload-Offset': { schema: { type: 'integer' } },
+								'X-File-Id': { schema: { type: 'string' }, description: 'Set once the upload is complete' },
+								'X-File-Url': { schema: { type: 'string' }, description: 'CDN URL, set once the upload is complete' },
+							},
+						},
+						409: { description: 'Upload-Offset does not match', content: errorContent },
+						415: { description: 'Wrong Content-Type', content: errorContent },
+						460: { description: 'Checksum mismatch', content: errorContent },
+					},
+				},
+				delete: {
+					tags: ['Files'],
+					summary: 'Terminate a tus upload',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [{ name: 'uploadId', in: 'path', required: true, schema: { type: 'string' } }],
+					responses: { 204: { description: 'Upload terminated' }, 404: { description: 'Unknown or expired upload' } },
+				},
+			},
+			'/api/files/{id}': {
+				get: {
+					tags: ['Files'],
+					summary: 'Get file metadata',
+					description: 'Retrieve metadata for a file including its public URL',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Google Drive file ID' }],
+					responses: {
+						200: {
+							description: 'File metadata',
 							content: {
 								'application/json': {
 									schema: {
 										type: 'object',
 										properties: {
-											totalUploads: { type: 'integer' },
-											totalFileRequests: { type: 'integer' },
-											totalDeletes: { type: 'integer' },
+											id: { type: 'string' },
+											name: { type: 'string' },
+											size: { type: 'string' },
+											mimeType: { type: 'string' },
+											tags: { type: 'array', items: { type: 'string' } },
+											properties: { type: 'object', additionalProperties: { type: 'string' } },
+											expiresAt: { type: 'string', format: 'date-time', nullable: true },
+											rawUrl: { type: 'string', description: 'Public file URL' },
+										},
+									},
+								},
+							},
+						},
+						401: { description: 'Unauthorized' },
+						...driveErrors,
+					},
+				},
+				patch: {
+					tags: ['Files'],
+					summary: 'Update file metadata',
+					description:
+						'Rename, move or edit a file. Returns the refreshed metadata. `null` in appProperties or properties removes an entry; `tags` replaces every tag on the file.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Google Drive file ID' }],
+					requestBody: {
+						required: true,
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										name: { type: 'string' },
+										description: { type: 'string', nullable: true },
+										addParents: { type: 'array', items: { type: 'string' } },
+										removeParents: { type: 'array', items: { type: 'string' } },
+										appProperties: { type: 'object', additionalProperties: { type: 'string', nullable: true } },
+										starred: { type: 'boolean' },
+										tags: tagsSchema,
+										properties: { ...propertiesSchema, additionalProperties: { type: 'string', nullable: true } },
+									},
+								},
+							},
+						},
+					},
+					responses: {
+						200: { description: 'Updated metadata with rawUrl' },
+						400: { description: 'Invalid or unsupported fields', content: errorContent },
+						401: { description: 'Unauthorized' },
+						...driveErrors,
+					},
+				},
+				delete: {
+					tags: ['Files'],
+					summary: 'Delete a file',
+					description: 'Delete a file from Google Drive',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Google Drive file ID' }],
+					responses: {
+						204: { description: 'File deleted successfully' },
+						401: { description: 'Unauthorized' },
+						...driveErrors,
+					},
+				},
+			},
+			'/api/files/{id}/sign': {
+				post: {
+					tags: ['Files'],
+					summary: 'Create a signed URL',
+					description: 'Return an expiring, HMAC-signed public URL. Required to read files uploaded with `private: true`.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Google Drive file ID' }],
+					requestBody: {
+						required: false,
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										ttlSeconds: { type: 'integer', description: 'Lifetime of the URL in seconds (default 3600)' },
+									},
+								},
+							},
+						},
+					},
+					responses: {
+						200: {
+							description: 'Signed URL',
+							content: {
+								'application/json': {
+									schema: {
+										type: 'object',
+										properties: {
+											id: { type: 'string' },
+											url: { type: 'string', description: 'Signed public URL' },
+											expiresAt: { type: 'string', format: 'date-time' },
 										},
 									},
 								},
 							},
 						},
+						400: { description: 'Invalid TTL or signing not configured' },
+						401: { description: 'Unauthorized' },
 					},
 				},
 			},
-		},
-		components: {
-			securitySchemes: {
-				bearerAuth: {
-					type: 'http',
-					scheme: 'bearer',
-					bearerFormat: 'JWT',
-					description: 'Use: Authorization: Bearer YOUR_API_TOKEN',
+			'/api/files/{id}/content': {
+				put: {
+					tags: ['Files'],
+					summary: 'Replace file content',
+					description:
+						'Upload a new revision of an existing file. The file ID and public URL stay the same and the edge cache is purged. Send multipart/form-data for files up to 10MB, or JSON to open a resumable session driven through `/api/uploads/{sessionId}`.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [
+						{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Google Drive file ID' },
+						{
+							name: 'keepForever',
+							in: 'query',
+							schema: { type: 'boolean' },
+							description: 'Keep the new revision instead of letting Drive prune it',
+						},
+					],
+					requestBody: {
+						required: true,
+						content: {
+							'multipart/form-data': {
+								schema: { type: 'object', required: ['file'], properties: { file: { type: 'string', format: 'binary' } } },
+							},
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										size: { type: 'integer', description: 'Total bytes, when known' },
+										mimeType: { type: 'string', description: 'Defaults to the current MIME type' },
+									},
+								},
+							},
+						},
+					},
+					responses: {
+						200: { description: 'Content replaced' },
+						201: {
+							description: 'Resumable session created',
+							content: {
+								'application/json': {
+									schema: {
+										type: 'object',
+										properties: {
+											uploadSession: { $ref: '#/components/schemas/UploadSession' },
+											fileId: { type: 'string' },
+											rawUrl: { type: 'string' },
+										},
+									},
+								},
+							},
+						},
+						401: { description: 'Unauthorized' },
+						403: driveErrors[403],
+						404: driveErrors[404],
+						413: { description: 'Multipart body over 10MB', content: errorContent },
+						415: { description: 'Unsupported Content-Type', content: errorContent },
+					},
 				},
-				apiKey: {
-					type: 'apiKey',
-					in: 'header',
-					name: 'x-api-key',
-					description: 'Use: x-api-key: YOUR_API_TOKEN',
+			},
+			'/api/files/{id}/revisions': {
+				get: {
+					tags: ['Files'],
+					summary: 'List revisions',
+					description: 'List stored revisions of a file, oldest first. Each revision can be downloaded from its `rawUrl`.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [
+						{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Google Drive file ID' },
+						{ name: 'pageSize', in: 'query', schema: { type: 'integer' } },
+						{ name: 'pageToken', in: 'query', schema: { type: 'string' } },
+					],
+					responses: {
+						200: {
+							description: 'Revisions',
+							content: {
+								'application/json': {
+									schema: {
+										type: 'object',
+										properties: {
+											id: { type: 'string' },
+											revisions: {
+												type: 'array',
+												items: {
+													type: 'object',
+													properties: {
+														id: { type: 'string' },
+														mimeType: { type: 'string' },
+														modifiedTime: { type: 'string', format: 'date-time' },
+														size: { type: 'string' },
+														md5Checksum: { type: 'string' },
+														keepForever: { type: 'boolean' },
+														rawUrl: { type: 'string' },
+													},
+												},
+											},
+											nextPageToken: { type: 'string', nullable: true },
+										},
+									},
+								},
+							},
+						},
+						401: { description: 'Unauthorized' },
+						403: driveErrors[403],
+						404: driveErrors[404],
+					},
 				},
 			},
-		},
+			'/api/folders': {
+				post: {
+					tags: ['Folders'],
+					summary: 'Create a folder',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					requestBody: {
+						required: true,
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									required: ['name'],
+									properties: {
+										name: { type: 'string' },
+										parentId: { type: 'string', description: 'Defaults to the token folder or DRIVE_UPLOAD_ROOT' },
+										description: { type: 'string' },
+									},
+								},
+							},
+						},
+					},
+					responses: {
+						201: {
+							description: 'Folder created',
+							content: { 'application/json': { schema: { $ref: '#/components/schemas/FolderItem' } } },
+						},
+						400: { description: 'Invalid body or parent is not a folder', content: errorContent },
+						401: { description: 'Unauthorized' },
+						403: { description: 'Parent is outside DRIVE_UPLOAD_ROOT or the token folder', content: errorContent },
+						404: driveErrors[404],
+					},
+				},
+			},
+			'/api/folders/{id}': {
+				get: {
+					tags: ['Folders'],
+					summary: 'List folder contents',
+					description: 'Direct children of the folder, subfolders first, then by name.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [
+						{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Drive folder ID' },
+						{ name: 'pageSize', in: 'query', schema: { type: 'integer', maximum: 1000 } },
+						{ name: 'pageToken', in: 'query', schema: { type: 'string' } },
+					],
+					responses: {
+						200: {
+							description: 'Folder and a page of children',
+							content: {
+								'application/json': {
+									schema: {
+										type: 'object',
+										properties: {
+											folder: { $ref: '#/components/schemas/FolderItem' },
+											items: { type: 'array', items: { $ref: '#/components/schemas/FolderItem' } },
+											nextPageToken: { type: 'string', nullable: true },
+										},
+									},
+								},
+							},
+						},
+						400: { description: 'Not a folder', content: errorContent },
+						401: { description: 'Unauthorized' },
+						403: { description: 'Folder is outside DRIVE_UPLOAD_ROOT or the token folder', content: errorContent },
+						404: driveErrors[404],
+					},
+				},
+				delete: {
+					tags: ['Folders'],
+					summary: 'Delete a folder',
+					description:
+						'Deletes an empty folder, or a folder and everything in it with `recursive=true`. Cached copies of the contained files are purged. The upload root itself cannot be deleted.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [
+						{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Drive folder ID' },
+						{ name: 'recursive', in: 'query', schema: { type: 'boolean' } },
+					],
+					responses: {
+						200: {
+							description: 'Folder deleted',
+							content: {
+								'application/json': {
+									schema: {
+										type: 'object',
+										properties: {
+											id: { type: 'string' },
+											deleted: { type: 'boolean' },
+											recursive: { type: 'boolean' },
+											deletedFiles: { type: 'integer' },
+											deletedFolders: { type: 'integer' },
+											complete: {
+												type: 'boolean',
+												description: 'False when the contents exceeded 1000 items and the counts are a lower bound',
+											},
+										},
+									},
+								},
+							},
+						},
+						401: { description: 'Unauthorized' },
+						403: { description: 'Outside DRIVE_UPLOAD_ROOT, or the upload root itself', content: errorContent },
+						404: driveErrors[404],
+						409: { description: 'Folder is not empty (`folder_not_empty`)', content: errorContent },
+					},
+				},
+			},
+			'/api/folders/{id}/tree': {
+				get: {
+					tags: ['Folders'],
+					summary: 'Nested folder view',
+					description: 'Walks the folder up to `depth` levels (default 3, max 10) and at most 1000 items.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [
+						{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Drive folder ID' },
+						{ name: 'depth', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 10 } },
+					],
+					responses: {
+						200: {
+							description: 'Folder tree',
+							content: {
+								'application/json': {
+									schema: {
+										type: 'object',
+										properties: {
+											tree: { $ref: '#/components/schemas/FolderItem' },
+											depth: { type: 'integer' },
+											itemCount: { type: 'integer' },
+											truncated: { type: 'boolean' },
+										},
+									},
+								},
+							},
+						},
+						401: { description: 'Unauthorized' },
+						403: { description: 'Folder is outside DRIVE_UPLOAD_ROOT or the token folder', content: errorContent },
+						404: driveErrors[404],
+					},
+				},
+			},
+			'/files/{id}': {
+				get: {
+					tags: ['Public Files'],
+					summary: 'Access file via public URL',
+					description:
+						'Public endpoint to access files. No authentication required. Supports Range requests for video streaming. Responses are edge-cached and carry ETag/Last-Modified validators.',
+					parameters: [
+						{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Google Drive file ID' },
+						{ name: 'Range', in: 'header', schema: { type: 'string' }, description: 'Byte range for partial content (e.g., bytes=0-1023)' },
+						{ name: 'If-None-Match', in: 'header', schema: { type: 'string' }, description: 'ETag from a previous response' },
+						{ name: 'If-Modified-Since', in: 'header', schema: { type: 'string' }, description: 'Last-Modified from a previous response' },
+						{
+							name: 'rev',
+							in: 'query',
+							schema: { type: 'string' },
+							description: 'Serve a specific revision instead of the current content',
+						},
+						{ name: 'expires', in: 'query', schema: { type: 'integer' }, description: 'Signed URL expiry (private files only)' },
+						{ name: 'sig', in: 'query', schema: { type: 'string' }, description: 'Signed URL signature (private files only)' },
+					],
+					responses: {
+						200: { description: 'File content' },
+						206: { description: 'Partial content (Range request)' },
+						304: { description: 'Not modified since the cached copy' },
+						403: {
+							description:
+								'Private file without a valid signature (`signature_required`, `signature_expired`, `invalid_signature`, or `signing_unavailable` when URL_SIGNING_SECRET is unset), or blocked by an access rule',
+							content: errorContent,
+						},
+						404: driveErrors[404],
+						410: { description: 'The file has expired (`file_expired`)', content: errorContent },
+						416: { description: 'Requested range not satisfiable (`range_not_satisfiable`)' },
+						429: driveErrors[429],
+						502: driveErrors[502],
+					},
+				},
+				head: {
+					tags: ['Public Files'],
+					summary: 'Get file headers',
+					description: 'Get file metadata via HEAD request',
+					parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Google Drive file ID' }],
+					responses: {
+						200: { description: 'File headers' },
+						304: { description: 'Not modified since the cached copy' },
+						...driveErrors,
+					},
+				},
+			},
+			'/api/admin/tokens': {
+				get: {
+					tags: ['Admin'],
+					summary: 'List scoped API tokens',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					responses: {
+						200: { description: 'Token records (secrets are never returned)' },
+						401: { description: 'Unauthorized' },
+						403: { description: 'Token lacks the admin scope' },
+					},
+				},
+				post: {
+					tags: ['Admin'],
+					summary: 'Create a scoped API token',
+					description: 'The token secret is only returned in this response.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					requestBody: {
+						required: true,
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									required: ['name', 'scopes'],
+									properties: {
+										name: { type: 'string' },
+										scopes: { type: 'array', items: { type: 'string', enum: TOKEN_SCOPES } },
+										expiresAt: { type: 'string', format: 'date-time' },
+										parent: { type: 'string', description: 'Restrict the token to files directly inside this folder' },
+									},
+								},
+							},
+						},
+					},
+					responses: {
+						201: { description: 'Token created' },
+						400: { description: 'Invalid payload' },
+						403: { description: 'Token lacks the admin scope' },
+					},
+				},
+			},
+			'/api/admin/tokens/{id}': {
+				delete: {
+					tags: ['Admin'],
+					summary: 'Revoke a scoped API token',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+					responses: {
+						200: { description: 'Token revoked' },
+						404: { description: 'Token not found' },
+					},
+				},
+			},
+			'/api/admin/tokens/{id}/rotate': {
+				post: {
+					tags: ['Admin'],
+					summary: 'Rotate a token secret',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+					responses: {
+						200: { description: 'New token secret' },
+						404: { description: 'Token not found' },
+					},
+				},
+			},
+			'/api/admin/service-accounts': {
+				get: {
+					tags: ['Admin'],
+					summary: 'List service account health',
+					description: "Status, cooldown, last error and today's request and byte counters for each loaded service account.",
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					responses: {
+						200: { description: 'Service account states' },
+						403: { description: 'Token lacks the admin scope' },
+					},
+				},
+			},
+			'/api/admin/maintenance': {
+				get: {
+					tags: ['Admin'],
+					summary: 'Last scheduled maintenance run',
+					description:
+						'Report of the last cron run: token pre-warming per service account, expired file and retention cleanup, the refreshed file-count and storage-quota snapshots and pruned upload sessions. Each task has a `status` of `ok`, `partial`, `failed` or `skipped` and a `durationMs`.',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					responses: {
+						200: { description: 'Last run report' },
+						403: { description: 'Token lacks the admin scope' },
+						404: { description: 'No scheduled run recorded yet', content: errorContent },
+						501: { description: 'STATS KV namespace not bound', content: errorContent },
+					},
+				},
+			},
+			'/api/admin/service-accounts/{email}/{action}': {
+				post: {
+					tags: ['Admin'],
+					summary: 'Disable or re-enable a service account',
+					security: [{ bearerAuth: [] }, { apiKey: [] }],
+					parameters: [
+						{ name: 'email', in: 'path', required: true, schema: { type: 'string' }, description: 'Service account client_email' },
+						{ name: 'action', in: 'path', required: true, schema: { type: 'string', enum: ['disable', 'enable'] } },
+					],
+					responses: {
+						200: { description: 'Updated service account state' },
+						404: { description: 'Service account not found' },
+					},
+				},
+			},
+			'/p/{path}': {
+				get: {
+					tags: ['Public Files'],
+					summary: 'Access file by path',
+					description:
+						'Resolves a path below DRIVE_UPLOAD_ROOT (e.g. `/p/static/app/main.js`) to the newest file with that name and serves it like `/files/{id}`, including Range, validators, signed URLs and `?rev=`. Resolutions are cached in KV and dropped when the file or a folder on the path is renamed, moved or deleted through the API.',
+					parameters: [
+						{
+							name: 'path',
+							in: 'path',
+							required: true,
+							schema: { type: 'string' },
+							description: 'Slash separated path, each segment URL encoded',
+						},
+					],
+					responses: {
+						200: { description: 'File content' },
+						206: { description: 'Partial content (Range request)' },
+						304: { description: 'Not modified since the cached copy' },
+						400: { description: 'Malformed path', content: errorContent },
+						404: { description: 'No file at this path (`file_not_found`)', content: errorContent },
+						410: { description: 'The file has expired (`file_expired`)', content: errorContent },
+					},
+				},
+			},
+			'/api/stats': {
+				get: {
+					tags: ['Statistics'],
+					summary: 'Get service statistics',
+					description: 'Get usage statistics (public endpoint)',
+					responses: {
+						200: {
+							description: 'Statistics',
+							content: {
+								'application/json': {
+									schema: {
+										type: 'object',
+										properties: {
+											totalUploads: { type: 'integer' },
+											totalFileRequests: { type: 'integer' },
+											totalDeletes: { type: 'integer' },
+										},
+									},
+								},
+							},
+						},
+					},
+				},
+			},
+		},
+		components: {
+			schemas: {
+				Error: {
+					type: 'object',
+					properties: {
+						status: { type: 'string', enum: ['error'] },
+						error: {
+							type: 'object',
+							properties: {
+								code: {
+									type: 'string',
+									enum: [...API_ERROR_CODES, ...DRIVE_ERROR_CODES],
+									description: 'Stable machine-readable error code',
+								},
+								message: { type: 'string' },
+								details: {
+									type: 'object',
+									properties: {
+										reason: { type: 'string', description: 'Google Drive error reason, e.g. notFound or userRateLimitExceeded' },
+										upstreamStatus: { type: 'integer', description: 'HTTP status returned by Google Drive' },
+									},
+								},
+							},
+						},
+					},
+				},
+				ImportJob: {
+					type: 'object',
+					properties: {
+						jobId: { type: 'string' },
+						status: { type: 'string', enum: ['queued', 'running', 'complete', 'failed'] },
+						url: { type: 'string' },
+						bytes: { type: 'integer', description: 'Bytes copied so far' },
+						totalBytes: { type: 'integer', nullable: true },
+						fileId: { type: 'string', description: 'Drive ID reserved for the file' },
+						rawUrl: { type: 'string' },
+						statusUrl: { type: 'string' },
+						file: { type: 'object', nullable: true },
+						error: { type: 'object', nullable: true },
+					},
+				},
+				UploadSession: {
+					type: 'object',
+					properties: {
+						sessionId: { type: 'string' },
+						uploadUrl: { type: 'string', description: 'Worker URL that accepts the chunks' },
+						status: {
+							type: 'string',
+							enum: ['active', 'uploaded', 'complete', 'abandoned'],
+							description: '`uploaded` means every byte reached Drive but POST /complete has not verified it yet',
+						},
+						name: { type: 'string' },
+						mimeType: { type: 'string' },
+						size: { type: 'integer', nullable: true },
+						offset: { type: 'integer', description: 'Bytes committed so far' },
+						fileId: { type: 'string', description: 'Drive ID reserved for the file' },
+						rawUrl: { type: 'string' },
+						chunkSize: { type: 'integer', description: 'Suggested chunk size in bytes' },
+						complete: { type: 'boolean' },
+						createdAt: { type: 'string', format: 'date-time' },
+						expiresAt: { type: 'string', format: 'date-time' },
+					},
+				},
+				ListedFile: {
+					type: 'object',
+					properties: {
+						id: { type: 'string' },
+						name: { type: 'string' },
+						kind: { type: 'string', enum: ['file', 'folder'] },
+						mimeType: { type: 'string' },
+						sizeBytes: { type: 'integer', nullable: true, description: 'Null for folders and Google Docs' },
+						md5Checksum: { type: 'string', nullable: true },
+						createdTime: { type: 'string', format: 'date-time' },
+						modifiedTime: { type: 'string', format: 'date-time' },
+						parents: { type: 'array', items: { type: 'string' } },
+						description: { type: 'string' },
+						appProperties: { type: 'object', additionalProperties: { type: 'string' } },
+						tags: { type: 'array', items: { type: 'string' } },
+						properties: { type: 'object', additionalProperties: { type: 'string' } },
+						expiresAt: { type: 'string', format: 'date-time', nullable: true },
+						visibility: { type: 'string', enum: ['public', 'private'] },
+						rawUrl: { type: 'string', nullable: true, description: 'Null for folders' },
+					},
+				},
+				FolderItem: {
+					type: 'object',
+					properties: {
+						id: { type: 'string' },
+						name: { type: 'string' },
+						mimeType: { type: 'string', description: '`application/vnd.google-apps.folder` for folders' },
+						size: { type: 'string', description: 'Files only' },
+						parents: { type: 'array', items: { type: 'string' } },
+						createdTime: { type: 'string', format: 'date-time' },
+						modifiedTime: { type: 'string', format: 'date-time' },
+						rawUrl: { type: 'string', description: 'Files only' },
+						children: {
+							type: 'array',
+							nullable: true,
+							items: { type: 'object' },
+							description: 'Tree view only; null for folders below the requested depth',
+						},
+					},
+				},
+			},
+			responses: {
+				DriveNotFound: { description: 'File not found (`file_not_found`)', content: errorContent },
+				DriveForbidden: {
+					description: 'Drive denied access (`drive_permission_denied`, `drive_abusive_file`)',
+					content: errorContent,
+				},
+				DriveRateLimited: {
+					description:
+						'Drive quota hit (`drive_rate_limited`, `drive_daily_limit_exceeded`, `download_quota_exceeded`). Honour `Retry-After`.',
+					headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait before retrying' } },
+					content: errorContent,
+				},
+				DriveStorageFull: { description: 'Drive storage is full (`storage_quota_exceeded`)', content: errorContent },
+				DriveUnavailable: {
+					description: 'Drive failed or rejected credentials (`drive_unavailable`, `drive_auth_failed`)',
+					content: errorContent,
+				},
+			},
+			securitySchemes: {
+				bearerAuth: {
+					type: 'http',
+					scheme: 'bearer',
+					bearerFormat: 'JWT',
+					description: 'Use: Authorization: Bearer YOUR_API_TOKEN',
+				},
+				apiKey: {
+					type: 'apiKey',
+					in: 'header',
+					name: 'x-api-key',
+					description: 'Use: x-api-key: YOUR_API_TOKEN',
+				},
+			},
+		},
+	};
+
+	return json(openApiSpec);
+}
+
+async function handleDashboardSummary(request, env, config, drive) {
+	const origin = new URL(request.url).origin;
+	const [stats, storageQuota, counts] = await Promise.all([
+		getStats(env),
+		getStorageQuotaSnapshot(env, drive).catch(() => null),
+		getFileCountsSnapshot(env, drive).catch(() => null),
+	]);
+	return successResponse({
+		stats,
+		storage: formatStorageQuota(storageQuota),
+		files: counts || { totalFiles: 0, folderCount: 0, cached: false },
+		meta: {
+			cdnBaseUrl: config.CDN_BASE_URL || origin,
+			repoUrl: DASHBOARD_REPO_URL,
+		},
+	});
+}
+
+async function handleDashboardFiles(request, env, config, drive) {
+	const url = new URL(request.url);
+	const pageSizeParam = parseInt(url.searchParams.get('pageSize') || '', 10);
+	const pageSize = Number.isFinite(pageSizeParam) && pageSizeParam > 0 ? pageSizeParam : DEFAULT_FILE_PAGE_SIZE;
+	const pageToken = url.searchParams.get('pageToken') || undefined;
+	const search = url.searchParams.get('search') || '';
+	const type = (url.searchParams.get('type') || '').toLowerCase();
+	const tag = (url.searchParams.get('tag') || '').trim().toLowerCase();
+	const [listResponse, counts] = await Promise.all([
+		drive.listFiles({ pageSize, pageToken, search, type, appProperties: tag ? tagProperty(tag) : undefined }),
+		getFileCountsSnapshot(env, drive).catch(() => null),
+	]);
+	const files = (listResponse.files || []).map((file) => formatDriveFile(file, config, url.origin));
+	return successResponse({
+		files,
+		nextPageToken: listResponse.nextPageToken || null,
+		totalFiles: counts?.totalFiles ?? files.length,
+		folderCount: counts?.folderCount ?? 0,
+		pageSize,
+		query: {
+			search,
+			type: type || 'all',
+			tag: tag || null,
+		},
+	});
+}
+
+async function getStats(env) {
+	if (!env?.STATS) {
+		return { totalUploads: 0, totalFileRequests: 0, totalDeletes: 0 };
+	}
+
+	try {
+		const uploads = await env.STATS.get('total_uploads');
+		const fileRequests = await env.STATS.get('total_file_requests');
+		const deletes = await env.STATS.get('total_deletes');
+
+		return {
+			totalUploads: parseInt(uploads || '0', 10),
+			totalFileRequests: parseInt(fileRequests || '0', 10),
+			totalDeletes: parseInt(deletes || '0', 10),
+		};
+	} catch (e) {
+		return { totalUploads: 0, totalFileRequests: 0, totalDeletes: 0 };
+	}
+}
+
+async function trackUpload(env, type) {
+	if (!env?.STATS) return;
+	try {
+		const key = 'total_uploads';
+		const current = await env.STATS.get(key);
+		await env.STATS.put(key, String(parseInt(current || '0', 10) + 1));
+	} catch (e) {
+		console.error('Failed to track upload:', e);
+	}
+}
+
+async function trackFileRequest(env, fileId) {
+	if (!env?.STATS) return;
+	try {
+		const key = 'total_file_requests';
+		const current = await env.STATS.get(key);
+		await env.STATS.put(key, String(parseInt(current || '0', 10) + 1));
+	} catch (e) {
+		console.error('Failed to track file request:', e);
+	}
+}
+
+async function trackDelete(env, count = 1) {
+	if (!env?.STATS || count <= 0) return;
+	try {
+		const key = 'total_deletes';
+		const current = await env.STATS.get(key);
+		await env.STATS.put(key, String(parseInt(current || '0', 10) + count));
+	} catch (e) {
+		console.error('Failed to track delete:', e);
+	}
+}
+
+async function authenticateRequest(request, config, env) {
+	const candidate = extractToken(request);
+	if (!candidate) return null;
+	const legacyTokens = (config.API_TOKENS || '')
+		.split(',')
+		.map((token) => token.trim())
+		.filter(Boolean);
+	if (legacyTokens.includes(candidate)) {
+		return LEGACY_PRINCIPAL;
+	}
+	try {
+		return await verifyApiToken(env?.API_KEYS, candidate);
+	} catch (error) {
+		console.error('Failed to verify API token:', error);
+		return null;
+	}
+}
+
+// API traffic is limited per token (and per client IP before authentication), public delivery per client IP.
+async function rateLimitKey(request, isFileRequest) {
+	if (isFileRequest) {
+		return `files:${clientIp(request)}`;
+	}
+	return `api:${await hashSecret(extractToken(request))}`;
+}
+
+function clientIp(request) {
+	return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+// Returns the 429 response when `key` is over the limit, otherwise null. The outcome is kept in
+// `seen` when it leaves less room than the limits checked before it.
+async function enforceRateLimit(env, key, ruleValue, seen) {
+	const rateLimit = await checkRateLimit(env, key, parseRateLimitRule(ruleValue));
+	if (!rateLimit) return null;
+	if (!seen.result || !rateLimit.allowed || rateLimit.remaining < seen.result.remaining) {
+		seen.result = rateLimit;
+	}
+	if (!rateLimit.allowed) {
+		return errorResponse('rate_limited', 'Too many requests, slow down', 429, undefined, rateLimitHeaders(rateLimit));
+	}
+	return null;
+}
+
+// Copies the response because the ones passed through from fetch() have immutable headers
+function withRateLimitHeaders(response, rateLimit) {
+	if (!rateLimit) return response;
+	const limited = new Response(response.body, response);
+	for (const [name, value] of Object.entries(rateLimitHeaders(rateLimit))) {
+		limited.headers.set(name, value);
+	}
+	return limited;
+}
+
+function requireScope(principal, scope) {
+	if (hasScope(principal, scope)) return null;
+	return errorResponse('forbidden', `Token is missing the \`${scope}\` scope`, 403);
+}
+
+// Tokens limited to a folder may only touch files whose direct parent is that folder.
+function isParentAllowed(principal, parents) {
+	if (!principal?.parent) return true;
+	return Array.isArray(parents) && parents.length > 0 && parents.every((id) => id === principal.parent);
+}
+
+function folderForbidden(principal) {
+	return errorResponse('forbidden', `Token is restricted to folder ${principal.parent}`, 403);
+}
+
+function extractToken(request) {
+	const header = request.headers.get('authorization');
+	if (header && header.toLowerCase().startsWith('bearer ')) {
+		return header.slice(7).trim();
+	}
+	return request.headers.get('x-api-key');
+}
+
+async function handleMultipartUpload(request, drive, config, env, ctx, origin, principal) {
+	const formData = await request.formData();
+	const file = formData.get('file');
+	if (!(file instanceof File)) {
+		return errorResponse('invalid_request', '`file` form field missing', 400);
+	}
+	if (file.size > MAX_DIRECT_UPLOAD_BYTES) {
+		return errorResponse('payload_too_large', `file exceeds ${MAX_DIRECT_UPLOAD_BYTES} bytes, use /api/uploads`, 413);
+	}
+	const metadataRaw = formData.get('metadata');
+	let metadata = {};
+	if (metadataRaw) {
+		try {
+			metadata = JSON.parse(metadataRaw);
+		} catch (err) {
+			return errorResponse('invalid_request', 'metadata must be valid JSON', 400);
+		}
+	}
+	const isPrivate = wantsPrivateVisibility(metadata);
+	if (isPrivate && !config.URL_SIGNING_SECRET) {
+		return errorResponse('signing_unavailable', 'URL_SIGNING_SECRET must be configured to upload private files', 400);
+	}
+	const fileProperties = parseUploadProperties(metadata);
+	if (fileProperties.error) {
+		return errorResponse('invalid_request', fileProperties.error, 400);
+	}
+	const placement = await resolveUploadPath(drive, metadata.path, principal, metadata.parents);
+	if (placement.error) {
+		return errorResponse(placement.error, placement.message, placement.status);
+	}
+	if (placement.path) {
+		metadata = { ...metadata, name: placement.name, parents: placement.parents };
+	}
+	if (principal?.parent && !metadata.parents?.length) {
+		metadata = { ...metadata, parents: [principal.parent] };
+	}
+	if (!isParentAllowed(principal, metadata.parents)) {
+		return folderForbidden(principal);
+	}
+	const conflict = await resolveNameConflict(drive, metadata.onConflict, metadata.name || file.name, metadata.parents);
+	if (conflict.error) {
+		return errorResponse(conflict.error, conflict.message, conflict.status, conflict.details);
+	}
+	if (conflict.outcome === 'skipped') {
+		return skippedUploadResponse(conflict.existing, config, origin);
+	}
+	if (conflict.outcome === 'overwritten') {
+		const { existing } = conflict;
+		const refused = overwriteFieldsConflict(existing, isPrivate, fileProperties, metadata.description);
+		if (refused) {
+			return errorResponse(refused.error, refused.message, refused.status, refused.details);
+		}
+		const updated = await drive.updateContent(existing.id, file, { mimeType: file.type || existing.mimeType });
+		ctx.waitUntil(purgeCachedFile(env, buildFilesUrl(existing.id, config, origin), existing.id));
+		await rememberUploadPath(env, placement.path, existing.id);
+		return successResponse({ ...updated, ...existingFileFields(conflict.existing, conflict.outcome, config, origin) }, 201);
+	}
+	const uploaded = await drive.uploadMultipart({
+		file,
+		metadata: {
+			...metadata,
+			name: conflict.name,
+			id: await drive.reserveFileId(),
+			appProperties: { ...buildVisibilityProperties(isPrivate), ...fileProperties.appProperties },
+		},
+	});
+	await rememberUploadPath(env, placement.path, uploaded.id);
+	return successResponse(
+		{
+			...uploaded,
+			visibility: isPrivate ? PRIVATE_VISIBILITY : 'public',
+			rawUrl: buildFilesUrl(uploaded.id, config, origin),
+			...(conflict.outcome ? { conflict: conflict.outcome } : {}),
+		},
+		201,
+	);
+}
+
+// `path` places an upload at `dir/sub/name` below DRIVE_UPLOAD_ROOT and creates missing folders
+// like `mkdir -p`. Returns `{ name, parents, path }`, `{}` without a path, or `{ error, message, status }`.
+// Folder-restricted tokens may only use paths that already lead to their folder.
+async function resolveUploadPath(drive, rawPath, principal, parents) {
+	if (rawPath === undefined || rawPath === null || rawPath === '') return {};
+	const parsed = parseFilePath(rawPath);
+	if (parsed.error) {
+		return { error: 'invalid_request', message: parsed.error, status: 400 };
+	}
+	if (parents?.length) {
+		return { error: 'invalid_request', message: '`path` and `parents` cannot be combined', status: 400 };
+	}
+	const folders = parsed.segments.slice(0, -1);
+	const folderId = await ensureFolderPath(drive, uploadRootId(drive), folders, { create: !principal?.parent });
+	if (principal?.parent && folderId !== principal.parent) {
+		return { error: 'forbidden', message: `Token is restricted to folder ${principal.parent}`, status: 403 };
+	}
+	return { name: parsed.segments[parsed.segments.length - 1], parents: [folderId], path: parsed.segments.join('/') };
+}
+
+function uploadRootId(drive) {
+	return drive.parents[0] || 'root';
+}
+
+const CONFLICT_POLICIES = ['rename', 'overwrite', 'skip', 'fail'];
+
+// Applies `onConflict` when `name` already exists in the first of `parents`. Returns the `name` to upload
+// under plus an `outcome` (`renamed`, `overwritten`, `skipped`) when the policy kicked in, the `existing`
+// file for the last two, or `{ error, message, status, details }`. Without a policy duplicates are allowed.
+async function resolveNameConflict(drive, policy, name, parents) {
+	if (policy === undefined || policy === null) return { name };
+	if (!CONFLICT_POLICIES.includes(policy)) {
+		return { error: 'invalid_request', message: `\`onConflict\` must be one of ${CONFLICT_POLICIES.join(', ')}`, status: 400 };
+	}
+	const parentId = parents?.[0] || uploadRootId(drive);
+	const existing = await drive.findChild(parentId, name, { folder: false });
+	if (!existing) return { name };
+	if (policy === 'fail') {
+		return { error: 'name_conflict', message: `${name} already exists in this folder`, status: 409, details: { fileId: existing.id } };
+	}
+	if (policy === 'rename') {
+		return { name: await nextFreeName(drive, parentId, name), outcome: 'renamed' };
+	}
+	return { name: existing.name, outcome: policy === 'overwrite' ? 'overwritten' : 'skipped', existing };
+}
+
+// `banner.png` becomes `banner (1).png`, `banner (2).png`, ... whichever is free first
+async function nextFreeName(drive, parentId, name) {
+	const dot = name.lastIndexOf('.');
+	const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+	const page = await drive.listChildren(parentId, { pageSize: 1000, nameContains: base });
+	const taken = new Set((page.files || []).map((file) => file.name));
+	let counter = 1;
+	while (taken.has(`${base} (${counter})${extension}`)) {
+		counter += 1;
+	}
+	return `${base} (${counter})${extension}`;
+}
+
+// Overwritten and skipped uploads keep the existing file's ID, name and visibility
+function existingFileFields(file, outcome, config, origin) {
+	return { visibility: visibilityOf(file), rawUrl: buildFilesUrl(file.id, config, origin), conflict: outcome };
+}
+
+function skippedUploadResponse(file, config, origin) {
+	return successResponse({ ...file, ...existingFileFields(file, 'skipped', config, origin) });
+}
+
+function visibilityOf(file) {
+	return isPrivateFile(file) ? PRIVATE_VISIBILITY : 'public';
+}
+
+// An overwrite only replaces content, so an upload that would also change the existing file's
+// description, tags, properties, expiry or visibility is refused rather than having those fields
+// dropped. Returns `{ error, message, status, details }` or null.
+function overwriteFieldsConflict(existing, isPrivate, fileProperties, description) {
+	if (!description && !Object.keys(fileProperties.appProperties).length && !(isPrivate && !isPrivateFile(existing))) {
+		return null;
+	}
+	return {
+		error: 'invalid_request',
+		message:
+			"`onConflict: overwrite` keeps the existing file's description, tags, properties, expiry and visibility; upload without them, or change the description, tags and properties with PATCH /api/files/{id}",
+		status: 400,
+		details: { fileId: existing.id },
+	};
+}
+
+// Points a path at the file just uploaded there, so `/p/` serves the newest upload
+async function rememberUploadPath(env, path, fileId) {
+	if (path && fileId) {
+		await cacheFilePath(env?.STATS, path, fileId);
+	}
+}
+
+// Renames, moves and deletes change what `/p/` paths lead to
+async function forgetItemPaths(env, item) {
+	await (isFolder(item) ? invalidatePathCache(env?.STATS) : forgetFilePath(env?.STATS, item.id));
+}
+
+// Streams a raw request body into a resumable session without buffering it. Whatever the outcome,
+// a body left unread is cancelled so the client stops sending into a finished response.
+async function handleStreamUpload(request, url, drive, config, env, ctx, principal) {
+	try {
+		return await streamUploadBody(request, url, drive, config, env, ctx, principal);
+	} finally {
+		if (request.body && !request.body.locked) {
+			request.body.cancel().catch(() => {});
+		}
+	}
+}
+
+async function streamUploadBody(request, url, drive, config, env, ctx, principal) {
+	const uploadPath = url.searchParams.get('path');
+	if (!url.searchParams.get('name') && !uploadPath) {
+		return errorResponse('invalid_request', '`name` or `path` query parameter is required', 400);
+	}
+	if (!request.body) {
+		return errorResponse('invalid_request', 'Request body is empty', 400);
+	}
+	let parents = (url.searchParams.get('parents') || '')
+		.split(',')
+		.map((id) => id.trim())
+		.filter(Boolean);
+	const placement = await resolveUploadPath(drive, uploadPath, principal, parents);
+	if (placement.error) {
+		return errorResponse(placement.error, placement.message, placement.status);
+	}
+	const name = placement.name || url.searchParams.get('name');
+	if (placement.path) {
+		parents = placement.parents;
+	}
+	if (principal?.parent && !parents.length) {
+		parents = [principal.parent];
+	}
+	if (!isParentAllowed(principal, parents)) {
+		return folderForbidden(principal);
+	}
+	const isPrivate = wantsPrivateVisibility({
+		private: url.searchParams.get('private') === 'true',
+		visibility: url.searchParams.get('visibility'),
+	});
+	if (isPrivate && !config.URL_SIGNING_SECRET) {
+		return errorResponse('signing_unavailable', 'URL_SIGNING_SECRET must be configured to upload private files', 400);
+	}
+	const fileProperties = parseUploadPropertyParams(url.searchParams);
+	if (fileProperties.error) {
+		return errorResponse('invalid_request', fileProperties.error, 400);
+	}
+	// curl --data-binary defaults to a form content type, which says nothing about the file
+	const contentType = (request.headers.get('Content-Type') || '').split(';')[0].trim();
+	const mimeType =
+		url.searchParams.get('mimeType') ||
+		(contentType && contentType !== 'application/x-www-form-urlencoded' ? contentType : 'application/octet-stream');
+	const declaredLength = request.headers.get('Content-Length');
+	const expectedSize = declaredLength !== null && /^\d+$/.test(declaredLength) ? Number(declaredLength) : null;
+	const conflict = await resolveNameConflict(drive, url.searchParams.get('onConflict') || undefined, name, parents);
+	if (conflict.error) {
+		return errorResponse(conflict.error, conflict.message, conflict.status, conflict.details);
+	}
+	if (conflict.outcome === 'skipped') {
+		return skippedUploadResponse(conflict.existing, config, url.origin);
+	}
+
+	const overwrite = conflict.outcome === 'overwritten';
+	const refused = overwrite && overwriteFieldsConflict(conflict.existing, isPrivate, fileProperties, url.searchParams.get('description'));
+	if (refused) {
+		return errorResponse(refused.error, refused.message, refused.status, refused.details);
+	}
+	const fileId = overwrite ? conflict.existing.id : await drive.reserveFileId();
+	const session = overwrite
+		? await drive.createRevisionSession(fileId, { mimeType, size: expectedSize })
+		: await drive.createResumableSession({
+				id: fileId,
+				name: conflict.name,
+				mimeType,
+				size: expectedSize,
+				parents: parents.length ? parents : undefined,
+				description: url.searchParams.get('description') || undefined,
+				appProperties: { ...buildVisibilityProperties(isPrivate), ...fileProperties.appProperties },
+			});
+	const result = await pipeToResumableSession(drive, session.uploadUrl, request.body, { expectedSize });
+	if (result.error) {
+		console.warn(`Streamed upload of ${name} failed: ${result.message}`);
+		return errorResponse(result.error, result.message, result.error === 'payload_too_large' ? 413 : 400, {
+			receivedBytes: result.bytes,
+		});
+	}
+	await rememberUploadPath(env, placement.path, result.file.id || fileId);
+	if (overwrite) {
+		ctx.waitUntil(purgeCachedFile(env, buildFilesUrl(fileId, config, url.origin), fileId));
+		return successResponse({ ...result.file, ...existingFileFields(conflict.existing, conflict.outcome, config, url.origin) }, 201);
+	}
+	return successResponse(
+		{
+			...result.file,
+			visibility: isPrivate ? PRIVATE_VISIBILITY : 'public',
+			rawUrl: buildFilesUrl(result.file.id || fileId, config, url.origin),
+			...(conflict.outcome ? { conflict: conflict.outcome } : {}),
+		},
+		201,
+	);
+}
+
+const IMPORT_ERROR_STATUSES = {
+	invalid_request: 400,
+	import_host_not_allowed: 403,
+	payload_too_large: 413,
+	upload_interrupted: 502,
+	import_failed: 502,
+};
+// Statuses of a HEAD probe that mean the source only answers GET
+const HEAD_UNSUPPORTED_STATUSES = [405, 501];
+
+async function handleImport(request, drive, config, env, ctx, origin, principal) {
+	if (!config.IMPORT_ALLOWED_HOSTS) {
+		return errorResponse('not_configured', 'Set IMPORT_ALLOWED_HOSTS to enable URL imports', 501);
+	}
+	let payload;
+	try {
+		payload = await request.json();
+	} catch (err) {
+		return errorResponse('invalid_request', 'body must be valid JSON', 400);
+	}
+	if (typeof payload?.url !== 'string' || !payload.url) {
+		return errorResponse('invalid_request', '`url` is required', 400);
+	}
+	const forwarded = sanitizeImportHeaders(payload.headers);
+	if (forwarded.error) {
+		return errorResponse('invalid_request', forwarded.error, 400);
+	}
+	let parents = Array.isArray(payload.parents) ? payload.parents : [];
+	const isPrivate = wantsPrivateVisibility(payload);
+	if (isPrivate && !config.URL_SIGNING_SECRET) {
+		return errorResponse('signing_unavailable', 'URL_SIGNING_SECRET must be configured to upload private files', 400);
+	}
+	const fileProperties = parseUploadProperties(payload);
+	if (fileProperties.error) {
+		return errorResponse('invalid_request', fileProperties.error, 400);
+	}
+	const placement = await resolveUploadPath(drive, payload.path, principal, parents);
+	if (placement.error) {
+		return errorResponse(placement.error, placement.message, placement.status);
+	}
+	if (placement.path) {
+		parents = placement.parents;
+	}
+	if (principal?.parent && !parents.length) {
+		parents = [principal.parent];
+	}
+	if (!isParentAllowed(principal, parents)) {
+		return folderForbidden(principal);
+	}
+
+	const allowedHosts = parseAllowedHosts(config.IMPORT_ALLOWED_HOSTS);
+	const { maxBytes, inlineMaxBytes } = resolveImportLimits(config);
+	// The source is downloaded exactly once, inline or by the job, so one-time URLs keep working.
+	// A HEAD request decides which. Any failure is reported right away, except a source that does not
+	// support HEAD (405 or 501), which goes to a job with an unknown length.
+	const probe = await fetchRemoteSource(payload.url, forwarded.headers, allowedHosts, { method: 'HEAD' });
+	if (probe.error && !HEAD_UNSUPPORTED_STATUSES.includes(probe.status)) {
+		return importErrorResponse(probe);
+	}
+	const head = probe.error ? null : probe.response;
+	const sourceUrl = probe.error ? payload.url : probe.url;
+	const size = head ? remoteContentLength(head) : null;
+	if (size !== null && size > maxBytes) {
+		return errorResponse('payload_too_large', `Source is ${size} bytes, the import limit is ${maxBytes}`, 413);
+	}
+	const name = placement.name || payload.name || remoteFileName(head, sourceUrl);
+	const conflict = await resolveNameConflict(drive, payload.onConflict, name, parents);
+	if (conflict.error) {
+		return errorResponse(conflict.error, conflict.message, conflict.status, conflict.details);
+	}
+	if (conflict.outcome === 'skipped') {
+		return skippedUploadResponse(conflict.existing, config, origin);
+	}
+	const overwrite = conflict.outcome === 'overwritten';
+	const refused = overwrite && overwriteFieldsConflict(conflict.existing, isPrivate, fileProperties, payload.description);
+	if (refused) {
+		return errorResponse(refused.error, refused.message, refused.status, refused.details);
+	}
+	const target = {
+		fileId: overwrite ? conflict.existing.id : await drive.reserveFileId(),
+		replaces: overwrite,
+		name: overwrite ? conflict.existing.name : conflict.name,
+		path: placement.path,
+		mimeType: head ? remoteMimeType(head) : undefined,
+		parents: parents.length ? parents : undefined,
+		description: payload.description,
+		appProperties: { ...buildVisibilityProperties(isPrivate), ...fileProperties.appProperties },
+		visibility: overwrite ? visibilityOf(conflict.existing) : isPrivate ? PRIVATE_VISIBILITY : 'public',
+		conflict: conflict.outcome,
+	};
+
+	if (size !== null && size <= inlineMaxBytes) {
+		const fetched = await fetchRemoteSource(sourceUrl, forwarded.headers, allowedHosts);
+		if (fetched.error) {
+			return importErrorResponse(fetched);
+		}
+		const result = await importRemoteFile(drive, fetched.response, target, { maxBytes });
+		if (result.error) {
+			return importErrorResponse(result);
+		}
+		await rememberUploadPath(env, target.path, result.file.id || target.fileId);
+		if (target.replaces) {
+			ctx.waitUntil(purgeCachedFile(env, buildFilesUrl(target.fileId, config, origin), target.fileId));
+		}
+		ctx.waitUntil(trackUpload(env, 'import'));
+		return successResponse(formatImportedFile(result.file, target, config, origin), 201);
+	}
+
+	// Large or unknown-length sources outlive the request, so a Durable Object runs them
+	if (!env?.IMPORT_JOBS) {
+		return errorResponse('not_configured', `Bind the IMPORT_JOBS Durable Object to import sources over ${inlineMaxBytes} bytes`, 501);
+	}
+	const jobId = Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+	const job = await env.IMPORT_JOBS.get(env.IMPORT_JOBS.idFromName(jobId)).start({
+		id: jobId,
+		owner: principal.id,
+		url: sourceUrl,
+		headers: forwarded.headers,
+		allowedHosts,
+		maxBytes,
+		target,
+		origin,
+	});
+	return successResponse(formatImportJob(job, config), 202);
+}
+
+async function handleImportStatus(jobId, env, principal) {
+	if (!env?.IMPORT_JOBS) {
+		return errorResponse('not_configured', 'Bind the IMPORT_JOBS Durable Object to run background imports', 501);
+	}
+	if (!/^[a-f0-9]{32}$/.test(jobId)) {
+		return errorResponse('import_not_found', 'Import job not found', 404);
+	}
+	const job = await env.IMPORT_JOBS.get(env.IMPORT_JOBS.idFromName(jobId)).status();
+	if (!job || (job.owner !== principal.id && !hasScope(principal, 'admin'))) {
+		return errorResponse('import_not_found', 'Import job not found', 404);
+	}
+	return successResponse(formatImportJob(job, await withDefaults(env)));
+}
+
+function formatImportJob(job, config) {
+	return {
+		jobId: job.id,
+		status: job.status,
+		url: job.url,
+		bytes: job.bytes || 0,
+		totalBytes: job.totalBytes ?? null,
+		fileId: job.target.fileId,
+		rawUrl: buildFilesUrl(job.target.fileId, config, job.origin),
+		statusUrl: `${job.origin}/api/files/import/${job.id}`,
+		file: job.file || null,
+		error: job.error || null,
+		createdAt: job.createdAt,
+		updatedAt: job.updatedAt,
+		completedAt: job.completedAt || null,
+	};
+}
+
+// Same shape as handleMultipartUpload
+function formatImportedFile(file, target, config, origin) {
+	return {
+		...file,
+		visibility: target.visibility,
+		rawUrl: buildFilesUrl(file.id || target.fileId, config, origin),
+		...(target.conflict ? { conflict: target.conflict } : {}),
+	};
+}
+
+function importErrorResponse(failure) {
+	const details = failure.status ? { upstreamStatus: failure.status } : undefined;
+	return errorResponse(failure.error, failure.message, IMPORT_ERROR_STATUSES[failure.error] || 502, details);
+}
+
+async function handleResumableInit(request, drive, config, env, origin, principal) {
+	const store = env?.UPLOAD_SESSIONS;
+	if (!store) {
+		return uploadSessionsUnavailable();
+	}
+	let payload;
+	try {
+		payload = await request.json();
+	} catch (err) {
+		return errorResponse('invalid_request', 'body must be valid JSON', 400);
+	}
+	if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+		return errorResponse('invalid_request', 'body must be a JSON object', 400);
+	}
+	if (!payload.name && !payload.path) {
+		return errorResponse('invalid_request', '`name` or `path` is required', 400);
+	}
+	const isPrivate = wantsPrivateVisibility(payload);
+	if (isPrivate && !config.URL_SIGNING_SECRET) {
+		return errorResponse('signing_unavailable', 'URL_SIGNING_SECRET must be configured to upload private files', 400);
+	}
+	const fileProperties = parseUploadProperties(payload);
+	if (fileProperties.error) {
+		return errorResponse('invalid_request', fileProperties.error, 400);
+	}
+	const placement = await resolveUploadPath(drive, payload.path, principal, payload.parents);
+	if (placement.error) {
+		return errorResponse(placement.error, placement.message, placement.status);
+	}
+	if (placement.path) {
+		payload = { ...payload, name: placement.name, parents: placement.parents };
+	}
+	if (principal?.parent && !payload.parents?.length) {
+		payload = { ...payload, parents: [principal.parent] };
+	}
+	if (!isParentAllowed(principal, payload.parents)) {
+		return folderForbidden(principal);
+	}
+	const conflict = await resolveNameConflict(drive, payload.onConflict, payload.name, payload.parents);
+	if (conflict.error) {
+		return errorResponse(conflict.error, conflict.message, conflict.status, conflict.details);
+	}
+	if (conflict.outcome === 'skipped') {
+		return skippedUploadResponse(conflict.existing, config, origin);
+	}
+	const size = Number.isInteger(payload.size) && payload.size >= 0 ? payload.size : null;
+	let session;
+	if (conflict.outcome === 'overwritten') {
+		const refused = overwriteFieldsConflict(conflict.existing, isPrivate, fileProperties, payload.description);
+		if (refused) {
+			return errorResponse(refused.error, refused.message, refused.status, refused.details);
+		}
+		session = await createRevisionUploadSession(drive, store, principal, conflict.existing, {
+			mimeType: payload.mimeType || conflict.existing.mimeType,
+			size,
+			path: placement.path || null,
+		});
+	} else {
+		// Reserving the ID up front lets clients store the CDN URL before the upload finishes
+		const fileId = await drive.reserveFileId();
+		const googleSession = await drive.createResumableSession({
+			...payload,
+			name: conflict.name,
+			id: fileId,
+			appProperties: { ...buildVisibilityProperties(isPrivate), ...fileProperties.appProperties },
+		});
+		session = await createUploadSession(store, {
+			owner: principal.id,
+			uploadUrl: googleSession.uploadUrl,
+			fileId,
+			name: conflict.name,
+			mimeType: payload.mimeType || 'application/octet-stream',
+			size,
+			parents: payload.parents || null,
+			path: placement.path || null,
+			visibility: isPrivate ? PRIVATE_VISIBILITY : 'public',
+		});
+	}
+	return successResponse(
+		{
+			uploadSession: formatUploadSession(session, config, origin),
+			fileId: session.fileId,
+			rawUrl: buildFilesUrl(session.fileId, config, origin),
+			visibility: session.visibility,
+			...(conflict.outcome ? { conflict: conflict.outcome } : {}),
+		},
+		201,
+	);
+}
+
+function formatUploadSession(session, config, origin) {
+	return {
+		...publicSession(session),
+		status: sessionState(session),
+		sessionId: session.id,
+		uploadUrl: `${origin}/api/uploads/${session.id}`,
+		rawUrl: buildFilesUrl(session.fileId, config, origin),
+		chunkSize: RECOMMENDED_CHUNK_BYTES,
+	};
+}
+
+// Sessions are only visible to the token that created them (and admins)
+async function loadOwnedSession(env, sessionId, principal) {
+	const session = await getUploadSession(env.UPLOAD_SESSIONS, sessionId);
+	if (!session || (session.owner !== principal.id && !hasScope(principal, 'admin'))) {
+		return null;
+	}
+	return session;
+}
+
+function uploadSessionsUnavailable() {
+	return errorResponse('not_configured', 'Bind the UPLOAD_SESSIONS KV namespace to use resumable uploads', 501);
+}
+
+function uploadSessionMissing() {
+	return errorResponse('upload_not_found', 'Upload session not found or expired', 404);
+}
+
+// Accepts `bytes start-end/total` (total may be `*`); a missing header means the whole file in one request.
+function parseContentRange(header, length, expectedSize) {
+	if (!header) {
+		if (expectedSize !== null && expectedSize !== length) {
+			return { error: 'Content-Range is required when sending part of the file' };
+		}
+		return { start: 0, end: length - 1, total: length };
+	}
+	const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(header.trim());
+	if (!match) {
+		return { error: 'Content-Range must look like `bytes <start>-<end>/<total|*>`' };
+	}
+	const start = Number(match[1]);
+	const end = Number(match[2]);
+	const total = match[3] === '*' ? expectedSize : Number(match[3]);
+	if (end < start || end - start + 1 !== length) {
+		return { error: 'Content-Range does not match Content-Length' };
+	}
+	if (total !== null && (end >= total || (expectedSize !== null && total !== expectedSize))) {
+		return { error: 'Content-Range total does not match the declared file size' };
+	}
+	const isFinal = total !== null && end + 1 === total;
+	if (!isFinal && length % UPLOAD_CHUNK_ALIGNMENT !== 0) {
+		return { error: `Chunks other than the last must be a multiple of ${UPLOAD_CHUNK_ALIGNMENT} bytes` };
+	}
+	return { start, end, total };
+}
+
+async function handleUploadChunk(request, sessionId, drive, config, env, origin, principal) {
+	if (!env?.UPLOAD_SESSIONS) {
+		return uploadSessionsUnavailable();
+	}
+	let session = await loadOwnedSession(env, sessionId, principal);
+	if (!session) {
+		return uploadSessionMissing();
+	}
+	if (session.status !== 'active') {
+		return errorResponse('upload_complete', 'This upload has already finished', 409);
+	}
+	const length = parseInt(request.headers.get('Content-Length') || '', 10);
+	if (!Number.isFinite(length) || length <= 0) {
+		return errorResponse('length_required', 'Content-Length is required for each chunk', 411);
+	}
+	const range = parseContentRange(request.headers.get('Content-Range'), length, session.size);
+	if (range.error) {
+		return errorResponse('invalid_range', range.error, 400);
+	}
+	if (range.start !== session.offset) {
+		// Our stored offset can lag if a previous response was lost; Google is the source of truth
+		session = await refreshUploadSession(session, drive, config, env, origin);
+		if (session.status !== 'active') {
+			return errorResponse('upload_complete', 'This upload has already finished', 409);
+		}
+		if (range.start !== session.offset) {
+			return errorResponse('offset_mismatch', `Upload must resume at byte ${session.offset}`, 409, {
+				offset: session.offset,
+			});
+		}
+	}
+
+	const progress = await drive.uploadChunk(session.uploadUrl, {
+		body: request.body,
+		start: range.start,
+		end: range.end,
+		total: range.total ?? undefined,
+		length,
+	});
+	if (!progress.complete) {
+		session = await updateUploadSession(env.UPLOAD_SESSIONS, session, { offset: progress.offset });
+		const headers = progress.offset > 0 ? { Range: `bytes=0-${progress.offset - 1}` } : {};
+		// 308 mirrors Google's resumable protocol so existing clients keep working
+		return json({ status: 'success', data: { ...formatUploadSession(session, config, origin), complete: false } }, 308, headers);
+	}
+	return finishUploadSession(session, progress.file, config, env, origin);
+}
+
+// Google has every byte; stats wait for POST /complete to verify the file
+async function finishUploadSession(session, file, config, env, origin) {
+	const updated = await markSessionUploaded(session, file, config, env, origin);
+	return successResponse(
+		{
+			...formatUploadSession(updated, config, origin),
+			complete: true,
+			file: { ...file, rawUrl: buildFilesUrl(updated.fileId, config, origin) },
+		},
+		201,
+	);
+}
+
+// Clients may stop after the last chunk without calling POST /complete, so a replaced file's
+// cached copy is dropped as soon as Google has the new content
+async function markSessionUploaded(session, file, config, env, origin) {
+	const updated = await updateUploadSession(env.UPLOAD_SESSIONS, session, {
+		status: 'uploaded',
+		offset: Number(file.size) || session.size || session.offset,
+		fileId: file.id || session.fileId || null,
+	});
+	await rememberUploadPath(env, updated.path, updated.fileId);
+	if (updated.replaces) {
+		await purgeCachedFile(env, buildFilesUrl(updated.fileId, config, origin), updated.fileId);
+	}
+	return updated;
+}
+
+async function refreshUploadSession(session, drive, config, env, origin) {
+	const progress = await drive.getUploadStatus(session.uploadUrl, session.size ?? undefined);
+	if (progress.complete) {
+		return markSessionUploaded(session, progress.file, config, env, origin);
+	}
+	if (progress.offset === session.offset) {
+		return session;
+	}
+	return updateUploadSession(env.UPLOAD_SESSIONS, session, { offset: progress.offset });
+}
+
+async function handleUploadStatus(sessionId, drive, config, env, origin, principal) {
+	if (!env?.UPLOAD_SESSIONS) {
+		return uploadSessionsUnavailable();
+	}
+	let session = await loadOwnedSession(env, sessionId, principal);
+	if (!session) {
+		return uploadSessionMissing();
+	}
+	if (session.status !== 'active') {
+		return successResponse({ ...formatUploadSession(session, config, origin), complete: true });
+	}
+	const progress = await drive.getUploadStatus(session.uploadUrl, session.size ?? undefined);
+	if (progress.complete) {
+		return finishUploadSession(session, progress.file, config, env, origin);
+	}
+	if (progress.offset !== session.offset) {
+		session = await updateUploadSession(env.UPLOAD_SESSIONS, session, { offset: progress.offset });
+	}
+	return successResponse({ ...formatUploadSession(session, config, origin), complete: false });
+}
+
+async function handleUploadCancel(sessionId, drive, env, principal) {
+	if (!env?.UPLOAD_SESSIONS) {
+		return uploadSessionsUnavailable();
+	}
+	const session = await loadOwnedSession(env, sessionId, principal);
+	if (!session) {
+		return uploadSessionMissing();
+	}
+	if (session.status === 'active') {
+		await drive.cancelUpload(session.uploadUrl);
+	}
+	await deleteUploadSession(env.UPLOAD_SESSIONS, session.id);
+	return successResponse({ sessionId: session.id, cancelled: true });
+}
+
+// Verifies the finished upload on Drive before it counts towards upload statistics
+async function handleUploadComplete(request, sessionId, drive, config, env, ctx, origin, principal) {
+	if (!env?.UPLOAD_SESSIONS) {
+		return uploadSessionsUnavailable();
+	}
+	let session = await loadOwnedSession(env, sessionId, principal);
+	if (!session) {
+		return uploadSessionMissing();
+	}
+	let payload = {};
+	const text = await request.text();
+	if (text) {
+		try {
+			payload = JSON.parse(text);
+		} catch (err) {
+			return errorResponse('invalid_request', 'body must be valid JSON', 400);
+		}
+	}
+	if (payload.md5 !== undefined && !/^[a-f0-9]{32}$/i.test(String(payload.md5))) {
+		return errorResponse('invalid_request', '`md5` must be a 32 character hex digest', 400);
+	}
+	if (payload.size !== undefined && !Number.isSafeInteger(payload.size)) {
+		return errorResponse('invalid_request', '`size` must be an integer', 400);
+	}
+	if (session.status === 'active') {
+		session = await refreshUploadSession(session, drive, config, env, origin);
+		if (session.status === 'active') {
+			return errorResponse('upload_incomplete', `Upload has ${session.offset} bytes committed`, 409, {
+				offset: session.offset,
+				size: session.size,
+			});
+		}
+	}
+	if (!session.fileId) {
+		return errorResponse('upload_incomplete', 'Google Drive did not report the uploaded file', 409);
+	}
+
+	const meta = await drive.getMetadata(session.fileId);
+	const expectedSize = payload.size ?? session.size;
+	const mismatches = {};
+	if (Number.isInteger(expectedSize) && Number(meta.size) !== expectedSize) {
+		mismatches.size = { expected: expectedSize, actual: Number(meta.size) };
+	}
+	if (payload.md5 && payload.md5.toLowerCase() !== meta.md5Checksum) {
+		mismatches.md5 = { expected: payload.md5.toLowerCase(), actual: meta.md5Checksum || null };
+	}
+	if (Object.keys(mismatches).length) {
+		return errorResponse('upload_verification_failed', 'Uploaded file does not match the expected size or checksum', 422, mismatches);
+	}
+
+	if (session.status !== 'complete') {
+		session = await updateUploadSession(env.UPLOAD_SESSIONS, session, {
+			status: 'complete',
+			completedAt: new Date().toISOString(),
+			md5Checksum: meta.md5Checksum || null,
+		});
+		ctx.waitUntil(trackUpload(env, session.replaces ? 'revision' : session.protocol || 'resumable'));
+	}
+	return successResponse({
+		...meta,
+		rawUrl: buildFilesUrl(meta.id, config, origin),
+		visibility: isPrivateFile(meta) ? PRIVATE_VISIBILITY : 'public',
+		uploadSession: formatUploadSession(session, config, origin),
+	});
+}
+
+async function handleUploadList(url, env, principal, origin) {
+	if (!env?.UPLOAD_SESSIONS) {
+		return uploadSessionsUnavailable();
+	}
+	const status = url.searchParams.get('status');
+	if (status && !UPLOAD_SESSION_STATUSES.includes(status)) {
+		return errorResponse('invalid_request', `status must be one of ${UPLOAD_SESSION_STATUSES.join(', ')}`, 400);
+	}
+	const limit = Math.min(parseInt(url.searchParams.get('limit') || '', 10) || 100, 1000);
+	const page = await listUploadSessions(env.UPLOAD_SESSIONS, {
+		owner: hasScope(principal, 'admin') ? null : principal.id,
+		cursor: url.searchParams.get('cursor'),
+		limit,
+	});
+	const sessions = page.sessions
+		.filter((session) => !status || session.status === status)
+		.map((session) => ({ ...session, sessionId: session.id, uploadUrl: `${origin}/api/uploads/${session.id}` }));
+	return successResponse({ sessions, cursor: page.cursor });
+}
+
+// tus 1.0 (https://tus.io/protocols/resumable-upload) on top of the same upload sessions
+async function handleTus(request, sessionId, drive, config, env, ctx, origin, principal) {
+	const method = (request.headers.get('X-HTTP-Method-Override') || request.method).toUpperCase();
+	if (request.headers.get('Tus-Resumable') !== TUS_VERSION) {
+		return tusError('tus_version_unsupported', `Only tus ${TUS_VERSION} is supported`, 412, { 'Tus-Version': TUS_VERSION });
+	}
+	if (!env?.UPLOAD_SESSIONS) {
+		return uploadSessionsUnavailable();
+	}
+	if (!sessionId) {
+		if (method !== 'POST') {
+			return tusError('method_not_allowed', 'Use POST to create an upload', 405);
+		}
+		return handleTusCreate(request, drive, config, env, ctx, origin, principal);
+	}
+	const session = await loadOwnedSession(env, sessionId, principal);
+	if (!session) {
+		return tusError('upload_not_found', 'Upload not found or expired', 404);
+	}
+	if (method === 'HEAD') {
+		return handleTusHead(session, drive, config, env, origin);
+	}
+	if (method === 'PATCH') {
+		return handleTusPatch(request, session, drive, config, env, ctx, origin);
+	}
+	if (method === 'DELETE') {
+		if (session.status === 'active') {
+			await drive.cancelUpload(session.uploadUrl);
+		}
+		await deleteUploadSession(env.UPLOAD_SESSIONS, session.id);
+		return tusResponse(204);
+	}
+	return tusError('method_not_allowed', 'Supported methods are HEAD, PATCH and DELETE', 405);
+}
+
+async function handleTusCreate(request, drive, config, env, ctx, origin, principal) {
+	if (request.headers.has('Upload-Defer-Length')) {
+		return tusError('invalid_request', 'Upload-Defer-Length is not supported; send Upload-Length', 400);
+	}
+	const size = Number(request.headers.get('Upload-Length'));
+	if (!request.headers.get('Upload-Length') || !Number.isSafeInteger(size) || size < 0) {
+		return tusError('invalid_request', 'Upload-Length must be a non-negative integer', 400);
+	}
+	const metadata = parseUploadMetadata(request.headers.get('Upload-Metadata'));
+	if (!metadata) {
+		return tusError('invalid_request', 'Upload-Metadata values must be base64 encoded', 400);
+	}
+	if (!metadata.filename && !metadata.name && !metadata.path) {
+		return tusError('invalid_request', 'Upload-Metadata must include `filename` or `path`', 400);
+	}
+	let parents = (metadata.parents || metadata.parent || '')
+		.split(',')
+		.map((id) => id.trim())
+		.filter(Boolean);
+	const placement = await resolveUploadPath(drive, metadata.path, principal, parents);
+	if (placement.error) {
+		return tusError(placement.error, placement.message, placement.status);
+	}
+	const name = placement.name || metadata.filename || metadata.name;
+	if (placement.path) {
+		parents = placement.parents;
+	}
+	if (principal?.parent && !parents.length) {
+		parents = [principal.parent];
+	}
+	if (!isParentAllowed(principal, parents)) {
+		return folderForbidden(principal);
+	}
+	const isPrivate = wantsPrivateVisibility({ private: metadata.private === 'true', visibility: metadata.visibility });
+	if (isPrivate && !config.URL_SIGNING_SECRET) {
+		return tusError('signing_unavailable', 'URL_SIGNING_SECRET must be configured to upload private files', 400);
+	}
+	const fileProperties = parseUploadPropertyParams(Object.entries(metadata));
+	if (fileProperties.error) {
+		return tusError('invalid_request', fileProperties.error, 400);
+	}
+	// tus creation always answers with a new upload URL, so there is nothing to return for `skip`
+	if (metadata.onConflict === 'skip') {
+		return tusError('invalid_request', 'onConflict `skip` is not supported over tus; use `fail` and treat 409 as skipped', 400);
+	}
+	const conflict = await resolveNameConflict(drive, metadata.onConflict, name, parents);
+	if (conflict.error) {
+		return tusError(
+			conflict.error,
+			conflict.message,
+			conflict.status,
+			conflict.details?.fileId ? { 'X-File-Id': conflict.details.fileId } : {},
+		);
+	}
+	const mimeType = metadata.filetype || metadata.mimeType || 'application/octet-stream';
+	let session;
+	if (conflict.outcome === 'overwritten') {
+		const refused = overwriteFieldsConflict(conflict.existing, isPrivate, fileProperties, metadata.description);
+		if (refused) {
+			return tusError(refused.error, refused.message, refused.status, { 'X-File-Id': conflict.existing.id });
+		}
+		session = await createRevisionUploadSession(drive, env.UPLOAD_SESSIONS, principal, conflict.existing, {
+			mimeType,
+			size,
+			protocol: 'tus',
+			path: placement.path || null,
+		});
+	} else {
+		const fileId = await drive.reserveFileId();
+		const googleSession = await drive.createResumableSession({
+			id: fileId,
+			name: conflict.name,
+			mimeType,
+			size,
+			parents: parents.length ? parents : undefined,
+			description: metadata.description,
+			appProperties: { ...buildVisibilityProperties(isPrivate), ...fileProperties.appProperties },
+		});
+		session = await createUploadSession(env.UPLOAD_SESSIONS, {
+			owner: principal.id,
+			protocol: 'tus',
+			uploadUrl: googleSession.uploadUrl,
+			fileId,
+			name: conflict.name,
+			mimeType,
+			size,
+			parents: parents.length ? parents : null,
+			path: placement.path || null,
+			visibility: isPrivate ? PRIVATE_VISIBILITY : 'public',
+		});
+	}
+	return tusResponse(201, {
+		Location: `${origin}/api/tus/${session.id}`,
+		'Upload-Expires': new Date(session.expiresAt).toUTCString(),
+		'X-File-Id': session.fileId,
+		'X-File-Url': buildFilesUrl(session.fileId, config, origin),
+	});
+}
+
+async function handleTusHead(session, drive, config, env, origin) {
+	const current = session.status === 'active' ? await refreshUploadSession(session, drive, config, env, origin) : session;
+	return tusResponse(200, {
+		'Cache-Control': 'no-store',
+		'Upload-Offset': String(current.offset),
+		'Upload-Length': String(current.size),
+		'Upload-Expires': new Date(current.expiresAt).toUTCString(),
+		...tusFileHeaders(current, config, origin),
+	});
+}
+
+async function handleTusPatch(request, session, drive, config, env, ctx, origin) {
+	if ((request.headers.get('Content-Type') || '').split(';')[0].trim() !== TUS_CONTENT_TYPE) {
+		return tusError('unsupported_media_type', `PATCH bodies must use ${TUS_CONTENT_TYPE}`, 415);
+	}
+	const offset = Number(request.headers.get('Upload-Offset'));
+	if (!request.headers.get('Upload-Offset') || !Number.isSafeInteger(offset) || offset < 0) {
+		return tusError('invalid_request', 'Upload-Offset must be a non-negative integer', 400);
+	}
+	const length = parseInt(request.headers.get('Content-Length') || '', 10);
+	if (!Number.isFinite(length) || length < 0) {
+		return tusError('length_required', 'Content-Length is required', 411);
+	}
+	let current = session;
+	if (current.status === 'active' && offset !== current.offset) {
+		current = await refreshUploadSession(current, drive, config, env, origin);
+	}
+	if (current.status !== 'active' || offset !== current.offset) {
+		return tusError('offset_mismatch', `Upload-Offset must be ${current.offset}`, 409, { 'Upload-Offset': String(current.offset) });
+	}
+	if (offset + length > current.size) {
+		return tusError('invalid_range', 'Chunk extends past Upload-Length', 400);
+	}
+	if (offset + length < current.size && length % UPLOAD_CHUNK_ALIGNMENT !== 0) {
+		return tusError('invalid_range', `Chunks other than the last must be a multiple of ${UPLOAD_CHUNK_ALIGNMENT} bytes`, 400);
+	}
+
+	let body = request.body;
+	const checksum = request.headers.get('Upload-Checksum');
+	if (checksum) {
+		if (length > TUS_CHECKSUM_MAX_BYTES) {
+			return tusError('payload_too_large', `Checksummed chunks are limited to ${TUS_CHECKSUM_MAX_BYTES} bytes`, 413);
+		}
+		body = await request.arrayBuffer();
+		if (body.byteLength !== length) {
+			return tusError('invalid_request', 'Body does not match Content-Length', 400);
+		}
+		const failure = await verifyUploadChecksum(checksum, body);
+		if (failure === 'mismatch') {
+			// 460 is the status the tus checksum extension defines for a mismatch
+			return tusError('checksum_mismatch', 'Upload-Checksum does not match the chunk', 460);
+		}
+		if (failure) {
+			return tusError('invalid_request', 'Unsupported or malformed Upload-Checksum', 400);
+		}
+	}
+
+	const progress = await drive.uploadChunk(current.uploadUrl, {
+		body,
+		start: offset,
+		end: offset + length - 1,
+		total: current.size,
+		length,
+	});
+	if (progress.complete) {
+		// tus clients never call /complete; Google's final response is the confirmation
+		current = await updateUploadSession(env.UPLOAD_SESSIONS, current, {
+			status: 'complete',
+			offset: current.size,
+			fileId: progress.file.id || current.fileId || null,
+			completedAt: new Date().toISOString(),
+		});
+		await rememberUploadPath(env, current.path, current.fileId);
+		if (current.replaces) {
+			ctx.waitUntil(purgeCachedFile(env, buildFilesUrl(current.fileId, config, origin), current.fileId));
+		}
+		ctx.waitUntil(trackUpload(env, 'tus'));
+	} else {
+		current = await updateUploadSession(env.UPLOAD_SESSIONS, current, { offset: progress.offset });
+	}
+	return tusResponse(204, {
+		'Upload-Offset': String(current.offset),
+		'Upload-Expires': new Date(current.expiresAt).toUTCString(),
+		...tusFileHeaders(current, config, origin),
+	});
+}
+
+// Finished uploads point the client at the CDN URL of the new file
+function tusFileHeaders(session, config, origin) {
+	if (session.status === 'active' || !session.fileId) return {};
+	return { 'X-File-Id': session.fileId, 'X-File-Url': buildFilesUrl(session.fileId, config, origin) };
+}
+
+function tusResponse(status, headers = {}) {
+	return new Response(null, { status, headers: { ...corsHeaders, ...tusHeaders(headers) } });
+}
+
+function tusError(code, message, status, headers = {}) {
+	return errorResponse(code, message, status, undefined, tusHeaders(headers));
+}
+
+function wantsPrivateVisibility(payload = {}) {
+	return payload.private === true || payload.visibility === PRIVATE_VISIBILITY;
+}
+
+function buildVisibilityProperties(isPrivate) {
+	return isPrivate ? { [VISIBILITY_PROPERTY]: PRIVATE_VISIBILITY } : undefined;
+}
+
+// Tags, custom properties and expiry sent with an upload. Returns `{ appProperties }` or `{ error }`.
+function parseUploadProperties({ tags, properties, expiresAt, ttlSeconds }) {
+	const parsedTags = tags === undefined ? { tags: [] } : parseTags(tags);
+	if (parsedTags.error) return parsedTags;
+	const parsedProperties = properties === undefined ? { properties: {} } : parseCustomProperties(properties);
+	if (parsedProperties.error) return parsedProperties;
+	const expiry = parseExpiry({ expiresAt, ttlSeconds });
+	if (expiry?.error) return expiry;
+	return {
+		appProperties: {
+			...buildLabelProperties({ tags: parsedTags.tags, properties: parsedProperties.properties }),
+			...buildExpiryProperties(expiry?.expiresAt),
+		},
+	};
+}
+
+// Same, from string pairs: `tags=a,b`, `properties.<key>=value`, `expiresAt` and `ttlSeconds`
+function parseUploadPropertyParams(entries) {
+	const fields = {};
+	for (const [key, value] of entries) {
+		if (key === 'tags') {
+			fields.tags = value
+				.split(',')
+				.map((tag) => tag.trim())
+				.filter(Boolean);
+		} else if (key.startsWith(PROPERTY_PARAM_PREFIX)) {
+			fields.properties = { ...fields.properties, [key.slice(PROPERTY_PARAM_PREFIX.length)]: value };
+		} else if (key === 'expiresAt' || key === 'ttlSeconds') {
+			fields[key] = value;
+		}
+	}
+	return parseUploadProperties(fields);
+}
+
+async function handleSignUrl(request, id, drive, config, origin, principal) {
+	if (!config.URL_SIGNING_SECRET) {
+		return errorResponse('signing_unavailable', 'URL_SIGNING_SECRET is not configured', 400);
+	}
+	if (principal?.parent) {
+		const meta = await drive.getMetadata(id, 'id,parents');
+		if (!isParentAllowed(principal, meta.parents)) {
+			return folderForbidden(principal);
+		}
+	}
+	let payload = {};
+	const bodyText = await request.text();
+	if (bodyText) {
+		try {
+			payload = JSON.parse(bodyText);
+		} catch (err) {
+			return errorResponse('invalid_request', 'body must be valid JSON', 400);
+		}
+	}
+	const maxTtlParam = parseInt(config.SIGNED_URL_MAX_TTL || '', 10);
+	const maxTtl = Number.isFinite(maxTtlParam) && maxTtlParam > 0 ? maxTtlParam : DEFAULT_SIGNED_URL_MAX_TTL_SECONDS;
+	const ttlSeconds = payload?.ttlSeconds ?? DEFAULT_SIGNED_URL_TTL_SECONDS;
+	if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0 || ttlSeconds > maxTtl) {
+		return errorResponse('invalid_request', `ttlSeconds must be an integer between 1 and ${maxTtl}`, 400);
+	}
+	const expiresAt = Date.now() + ttlSeconds * 1000;
+	const signedUrl = await signFileUrl(buildFilesUrl(id, config, origin), id, config.URL_SIGNING_SECRET, expiresAt);
+	return successResponse({ id, url: signedUrl, expiresAt: new Date(Math.floor(expiresAt / 1000) * 1000).toISOString() });
+}
+
+// `/p/static/app/main.js` resolves the path below DRIVE_UPLOAD_ROOT, then serves it like `/files/:id`.
+async function handlePathDelivery(request, url, drive, config, env, ctx) {
+	let segments;
+	try {
+		segments = url.pathname.slice('/p/'.length).split('/').map(decodeURIComponent);
+	} catch (err) {
+		return errorResponse('invalid_request', 'Path is not valid URL encoding', 400);
+	}
+	const parsed = parseFilePath(segments.join('/'));
+	if (parsed.error) {
+		return errorResponse('invalid_request', parsed.error, 400);
+	}
+	const path = parsed.segments.join('/');
+	ctx.waitUntil(trackFileRequest(env, path));
+	const cachedId = await getCachedPath(env?.STATS, path);
+	if (cachedId) {
+		try {
+			return await handleFileDelivery(request, cachedId, drive, config, env, ctx, url.origin);
+		} catch (err) {
+			// Deleted outside the worker; resolve the path again
+			if (!(err instanceof DriveError) || err.code !== 'file_not_found') throw err;
+			await forgetFilePath(env?.STATS, cachedId);
+		}
+	}
+	const file = await resolveFilePath(drive, uploadRootId(drive), parsed.segments);
+	if (!file) {
+		return errorResponse('file_not_found', `No file at ${path}`, 404);
+	}
+	ctx.waitUntil(cacheFilePath(env?.STATS, path, file.id));
+	return handleFileDelivery(request, file.id, drive, config, env, ctx, url.origin);
+}
+
+async function handleFileDelivery(request, id, drive, config, env, ctx, origin) {
+	const rangeHeader = request.headers.get('Range');
+	const { ttlSeconds, maxBytes } = resolveEdgeCacheSettings(config);
+	const cache = ttlSeconds > 0 ? getEdgeCache() : null;
+	const cacheControl = `public, max-age=${ttlSeconds}`;
+	// `?rev=` serves an older revision; revisions never change, so each gets its own cache entry
+	const revision = new URL(request.url).searchParams.get('rev');
+	if (revision !== null && !/^[A-Za-z0-9_-]+$/.test(revision)) {
+		return errorResponse('invalid_request', '`rev` must be a Drive revision ID', 400);
+	}
+	let cacheKey = cache ? await buildCacheKey(env, buildFilesUrl(id, config, origin), id) : null;
+	if (cacheKey && revision) {
+		cacheKey += `${cacheKey.includes('?') ? '&' : '?'}rev=${revision}`;
+	}
+	const accessRules = parseAccessRules(config.ACCESS_RULES);
+
+	if (cache) {
+		const cached = await cache.match(new Request(cacheKey, { headers: rangeHeader ? { Range: rangeHeader } : {} }));
+		if (cached) {
+			// Cached copies of expiring files remember when they expire, so they stop being served on time
+			const cachedExpiry = cached.headers.get(EXPIRES_CACHE_HEADER);
+			if (cachedExpiry && Date.parse(cachedExpiry) <= Date.now()) {
+				cached.body?.cancel();
+				ctx.waitUntil(cache.delete(cacheKey).catch(() => {}));
+				return expiredFileResponse(cachedExpiry);
+			}
+			// Cached copies remember their parents so folder rules apply without asking Drive.
+			const cachedParents = (cached.headers.get(PARENTS_CACHE_HEADER) || '').split(',').filter(Boolean);
+			const denial = evaluateAccess(resolveRule(accessRules, cachedParents), request);
+			if (denial) {
+				cached.body?.cancel();
+				return accessDeniedResponse(denial);
+			}
+			const validators = validatorsFromHeaders(cached.headers);
+			if (isNotModified(request, validators)) {
+				cached.body?.cancel();
+				return notModifiedResponse(validators, cacheControl);
+			}
+			const headers = new Headers(cached.headers);
+			headers.delete(PARENTS_CACHE_HEADER);
+			headers.delete(EXPIRES_CACHE_HEADER);
+			if (request.method === 'HEAD') {
+				cached.body?.cancel();
+				return new Response(null, { status: cached.status, headers });
+			}
+			return new Response(cached.body, { status: cached.status, headers });
+		}
+	}
+
+	// Private files must be checked before anything is downloaded, so the metadata comes first.
+	const meta = await drive.getMetadata(id);
+	const denial = evaluateAccess(resolveRule(accessRules, meta.parents), request);
+	if (denial) {
+		return accessDeniedResponse(denial);
+	}
+	// The scheduled cleanup deletes expired files later; until then they are already gone for clients
+	const expiry = expiryOf(meta);
+	if (expiry !== null && expiry <= Date.now()) {
+		return expiredFileResponse(meta.appProperties[EXPIRES_AT_PROPERTY]);
+	}
+	const isPrivate = isPrivateFile(meta);
+	if (isPrivate) {
+		const failure = await verifyFileSignature(new URL(request.url).searchParams, id, config.URL_SIGNING_SECRET);
+		if (failure) {
+			return errorResponse(failure, signatureFailureMessage(failure), 403);
+		}
+	}
+	const source = revision ? await drive.getRevision(id, revision) : meta;
+	const validators = buildValidators(source);
+	// Private files are never stored at the edge; browsers may keep them until the signature expires.
+	// Expiring files are never kept past their expiry.
+	const secondsLeft = expiry === null ? Infinity : Math.floor((expiry - Date.now()) / 1000);
+	const responseCacheControl = isPrivate
+		? `private, max-age=${Math.min(signatureLifetime(request), secondsLeft)}`
+		: expiry === null
+			? cacheControl
+			: `public, max-age=${Math.min(ttlSeconds, secondsLeft)}`;
+	if (isNotModified(request, validators)) {
+		return notModifiedResponse(validators, responseCacheControl);
+	}
+	const upstream = await drive.streamFile(id, rangeHeader, request.method, revision);
+	const headers = new Headers(upstream.headers);
+	headers.set('Cache-Control', responseCacheControl);
+	if (validators.etag) headers.set('ETag', validators.etag);
+	if (validators.lastModified) headers.set('Last-Modified', validators.lastModified);
+	const response = new Response(upstream.body, { status: upstream.status, headers });
+
+	const size = Number(source.size || 0);
+	if (cache && !isPrivate && request.method === 'GET' && response.status === 200 && size <= maxBytes) {
+		response.headers.set(PARENTS_CACHE_HEADER, (meta.parents || []).join(','));
+		if (expiry !== null) {
+			response.headers.set(EXPIRES_CACHE_HEADER, new Date(expiry).toISOString());
+		}
+		ctx.waitUntil(
+			cache.put(cacheKey, response.clone()).catch((error) => {
+				console.warn(`Failed to cache file ${id}:`, error);
+			}),
+		);
+		response.headers.delete(PARENTS_CACHE_HEADER);
+		response.headers.delete(EXPIRES_CACHE_HEADER);
+	}
+	return response;
+}
+
+function accessDeniedResponse(denial) {
+	const { type, url, status } = denial.deny;
+	if (type === 'redirect' && url) {
+		return new Response(null, { status: 302, headers: { Location: url, 'Cache-Control': 'no-store', ...corsHeaders } });
+	}
+	if (type === 'image') {
+		if (url) {
+			return Response.redirect(url, 302);
+		}
+		const bytes = Uint8Array.from(atob(PLACEHOLDER_GIF_BASE64), (char) => char.charCodeAt(0));
+		return new Response(bytes, {
+			status,
+			headers: { 'Content-Type': 'image/gif', 'Cache-Control': 'no-store', ...corsHeaders },
+		});
+	}
+	return errorResponse('access_denied', `Request blocked by the ${denial.reason.replace('_', ' ')} rule`, status, undefined, {
+		'Cache-Control': 'no-store',
+	});
+}
+
+function expiredFileResponse(expiresAt) {
+	return errorResponse('file_expired', `File expired at ${expiresAt}`, 410, { expiresAt });
+}
+
+function signatureLifetime(request) {
+	const expires = parseInt(new URL(request.url).searchParams.get('expires') || '0', 10);
+	return Math.max(0, expires - Math.floor(Date.now() / 1000));
+}
+
+function signatureFailureMessage(code) {
+	switch (code) {
+		case 'signature_required':
+			return 'This file is private. Request a signed URL via POST /api/files/{id}/sign.';
+		case 'signature_expired':
+			return 'Signed URL has expired';
+		case 'signing_unavailable':
+			return 'URL signing is not configured on this worker';
+		default:
+			return 'Signed URL is invalid';
+	}
+}
+
+const MAX_LIST_PAGE_SIZE = 100;
+const LIST_DATE_FILTERS = ['createdAfter', 'createdBefore', 'modifiedAfter', 'modifiedBefore'];
+const LIST_APP_PROPERTY_PREFIX = 'appProperties.';
+
+// Without `parent`, lists the upload root (or the token's folder). Size ranges and strict name
+// prefixes are checked here because Drive cannot query them, so a page may hold fewer than `pageSize`
+// items; only a null `nextCursor` means the listing is done.
+async function handleListFiles(url, drive, config, principal) {
+	const parsed = parseListQuery(url.searchParams);
+	if (parsed.error) {
+		return errorResponse('invalid_request', parsed.error, 400);
+	}
+	const { filters, minSize, maxSize, namePrefix } = parsed;
+	let parents = principal?.parent ? [principal.parent] : undefined;
+	if (parsed.parent) {
+		const scoped = await loadScopedFolder(drive, parsed.parent, principal);
+		if (scoped.response) return scoped.response;
+		parents = [scoped.folder.id];
+	}
+	const listResponse = await drive.listFiles({ ...filters, parents });
+	const files = (listResponse.files || []).filter((file) => {
+		if (namePrefix && !file.name.toLowerCase().startsWith(namePrefix.toLowerCase())) return false;
+		if (minSize === null && maxSize === null) return true;
+		if (file.size === undefined) return false;
+		const size = Number(file.size);
+		return (minSize === null || size >= minSize) && (maxSize === null || size <= maxSize);
+	});
+	return successResponse({
+		files: files.map((file) => formatListedFile(file, config, url.origin)),
+		nextCursor: listResponse.nextPageToken || null,
+		pageSize: filters.pageSize,
+	});
+}
+
+// Returns the listFiles options plus the filters applied by the worker, or `{ error }`.
+function parseListQuery(params) {
+	const filters = {};
+	const pageSizeParam = params.get('pageSize');
+	filters.pageSize = DEFAULT_FILE_PAGE_SIZE;
+	if (pageSizeParam !== null) {
+		const pageSize = /^\d+$/.test(pageSizeParam) ? Number(pageSizeParam) : 0;
+		if (pageSize < 1 || pageSize > MAX_LIST_PAGE_SIZE) {
+			return { error: `\`pageSize\` must be between 1 and ${MAX_LIST_PAGE_SIZE}` };
+		}
+		filters.pageSize = pageSize;
+	}
+	filters.pageToken = params.get('cursor') || undefined;
+
+	const type = params.get('type');
+	if (type) {
+		if (!LIST_TYPES.includes(type)) {
+			return { error: `\`type\` must be one of ${LIST_TYPES.join(', ')}` };
+		}
+		filters.type = type;
+	}
+	const mimeType = params.get('mimeType');
+	if (mimeType) {
+		if (!/^[\w.+-]+\/([\w.+-]+|\*)$/.test(mimeType)) {
+			return { error: '`mimeType` must look like `image/png` or `image/*`' };
+		}
+		filters.mimeType = mimeType;
+	}
+	const namePrefix = params.get('namePrefix') || '';
+	// A prefix is also a Drive `name contains` match, which narrows the listing before the strict check
+	filters.nameContains = params.get('nameContains') || namePrefix || undefined;
+	filters.fullText = params.get('fullText') || undefined;
+
+	for (const key of LIST_DATE_FILTERS) {
+		const value = params.get(key);
+		if (!value) continue;
+		const time = Date.parse(value);
+		if (Number.isNaN(time)) {
+			return { error: `\`${key}\` must be an ISO 8601 date` };
+		}
+		filters[key] = new Date(time).toISOString();
+	}
+
+	const sizes = {};
+	for (const key of ['minSize', 'maxSize']) {
+		const value = params.get(key);
+		if (value !== null && !/^\d+$/.test(value)) {
+			return { error: `\`${key}\` must be a number of bytes` };
+		}
+		sizes[key] = value === null ? null : Number(value);
+	}
+
+	const appProperties = {};
+	for (const [key, value] of params) {
+		if (key.startsWith(LIST_APP_PROPERTY_PREFIX)) {
+			const property = key.slice(LIST_APP_PROPERTY_PREFIX.length);
+			if (!property) {
+				return { error: '`appProperties.<key>` filters need a key' };
+			}
+			appProperties[property] = value;
+		} else if (key.startsWith(PROPERTY_PARAM_PREFIX)) {
+			const property = key.slice(PROPERTY_PARAM_PREFIX.length);
+			if (!property) {
+				return { error: '`properties.<key>` filters need a key' };
+			}
+			appProperties[`${CUSTOM_PROPERTY_PREFIX}${property}`] = value;
+		}
+	}
+	// Repeated `tag` parameters must all match
+	const tags = parseTags(params.getAll('tag'));
+	if (tags.error) return tags;
+	for (const tag of tags.tags) {
+		Object.assign(appProperties, tagProperty(tag));
+	}
+	filters.appProperties = appProperties;
+
+	const sort = params.get('sort') || 'modifiedTime';
+	if (!Object.hasOwn(LIST_ORDER_FIELDS, sort)) {
+		return { error: `\`sort\` must be one of ${Object.keys(LIST_ORDER_FIELDS).join(', ')}` };
+	}
+	const order = params.get('order') || (sort === 'name' ? 'asc' : 'desc');
+	if (order !== 'asc' && order !== 'desc') {
+		return { error: '`order` must be asc or desc' };
+	}
+	filters.orderBy = order === 'desc' ? `${LIST_ORDER_FIELDS[sort]} desc` : LIST_ORDER_FIELDS[sort];
+
+	return { filters, parent: params.get('parent') || null, namePrefix, ...sizes };
+}
+
+// Stable, machine-readable listing entry; the dashboard's formatDriveFile adds display strings instead
+function formatListedFile(file, config, origin) {
+	const folder = isFolder(file);
+	return {
+		id: file.id,
+		name: file.name,
+		kind: folder ? 'folder' : 'file',
+		mimeType: file.mimeType,
+		sizeBytes: file.size === undefined ? null : Number(file.size),
+		md5Checksum: file.md5Checksum || null,
+		createdTime: file.createdTime,
+		modifiedTime: file.modifiedTime,
+		parents: file.parents || [],
+		description: file.description || '',
+		appProperties: file.appProperties || {},
+		...readLabels(file.appProperties),
+		expiresAt: file.appProperties?.[EXPIRES_AT_PROPERTY] || null,
+		visibility: visibilityOf(file),
+		rawUrl: folder ? null : buildFilesUrl(file.id, config, origin),
 	};
+}
 
-	return json(openApiSpec);
+async function handleMetadata(id, drive, config, origin, principal) {
+	const meta = await drive.getMetadata(id);
+	if (!isParentAllowed(principal, meta.parents)) {
+		return folderForbidden(principal);
+	}
+	return successResponse({ ...withLabels(meta), rawUrl: buildFilesUrl(id, config, origin) });
 }
 
-async function handleDashboardSummary(request, env, config, drive) {
-	const origin = new URL(request.url).origin;
-	const [stats, storageQuota, counts] = await Promise.all([
-		getStats(env),
-		drive.getDriveStorageInfo().catch(() => null),
-		getFileCountsSnapshot(env, drive).catch(() => null),
-	]);
-	return successResponse({
-		stats,
-		storage: formatStorageQuota(storageQuota),
-		files: counts || { totalFiles: 0, folderCount: 0, cached: false },
-		meta: {
-			cdnBaseUrl: config.CDN_BASE_URL || origin,
-			repoUrl: DASHBOARD_REPO_URL,
-		},
+const METADATA_PATCH_FIELDS = ['name', 'description', 'addParents', 'removeParents', 'appProperties', 'starred', 'tags', 'properties'];
+// Managed by the worker itself; changing them through PATCH would bypass its checks
+const RESERVED_APP_PROPERTIES = [VISIBILITY_PROPERTY, EXPIRES_AT_PROPERTY, EXPIRING_PROPERTY];
+
+async function handleUpdateMetadata(request, id, drive, config, env, origin, principal) {
+	let payload;
+	try {
+		payload = await request.json();
+	} catch (err) {
+		return errorResponse('invalid_request', 'body must be valid JSON', 400);
+	}
+	let parsed = parseMetadataPatch(payload);
+	if (parsed.error) {
+		return errorResponse('invalid_request', parsed.error, 400);
+	}
+	if (principal?.parent || parsed.tags) {
+		const current = await drive.getMetadata(id, 'id,parents,appProperties');
+		if (!isParentAllowed(principal, current.parents) || !isParentChangeAllowed(principal, parsed)) {
+			return folderForbidden(principal);
+		}
+		parsed = applyTagPatch(parsed, current.appProperties);
+	}
+	const meta = await drive.updateMetadata(id, parsed.changes, { addParents: parsed.addParents, removeParents: parsed.removeParents });
+	if (parsed.changes.name !== undefined || parsed.addParents.length || parsed.removeParents.length) {
+		await forgetItemPaths(env, meta);
+	}
+	return successResponse({ ...withLabels(meta), rawUrl: buildFilesUrl(id, config, origin) });
+}
+
+// Returns `{ changes, addParents, removeParents }` or `{ error }`.
+// Folder-restricted tokens may not take a file out of their folder or put it anywhere else
+function isParentChangeAllowed(principal, { addParents, removeParents }) {
+	if (!principal?.parent) return true;
+	return !removeParents.includes(principal.parent) && (!addParents.length || isParentAllowed(principal, addParents));
+}
+
+function parseMetadataPatch(payload) {
+	if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+		return { error: 'body must be a JSON object' };
+	}
+	const unknown = Object.keys(payload).filter((key) => !METADATA_PATCH_FIELDS.includes(key));
+	if (unknown.length) {
+		return { error: `Unsupported fields: ${unknown.join(', ')}. Allowed: ${METADATA_PATCH_FIELDS.join(', ')}` };
+	}
+	if (!Object.keys(payload).length) {
+		return { error: `Provide at least one of ${METADATA_PATCH_FIELDS.join(', ')}` };
+	}
+	const changes = {};
+	if (payload.name !== undefined) {
+		if (typeof payload.name !== 'string' || !payload.name.trim()) {
+			return { error: '`name` must be a non-empty string' };
+		}
+		changes.name = payload.name.trim();
+	}
+	if (payload.description !== undefined) {
+		if (payload.description !== null && typeof payload.description !== 'string') {
+			return { error: '`description` must be a string or null' };
+		}
+		changes.description = payload.description ?? '';
+	}
+	if (payload.starred !== undefined) {
+		if (typeof payload.starred !== 'boolean') {
+			return { error: '`starred` must be a boolean' };
+		}
+		changes.starred = payload.starred;
+	}
+	if (payload.appProperties !== undefined) {
+		const properties = payload.appProperties;
+		if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+			return { error: '`appProperties` must be an object' };
+		}
+		for (const [key, value] of Object.entries(properties)) {
+			if (RESERVED_APP_PROPERTIES.includes(key)) {
+				return { error: `appProperties.${key} is managed by the worker` };
+			}
+			// null removes the property on Drive
+			if (value !== null && typeof value !== 'string') {
+				return { error: `appProperties.${key} must be a string or null` };
+			}
+			if (appPropertyBytes(key, value) > MAX_APP_PROPERTY_BYTES) {
+				return { error: `appProperties.${key} exceeds ${MAX_APP_PROPERTY_BYTES} bytes (key plus value)` };
+			}
+		}
+		changes.appProperties = properties;
+	}
+	let tags;
+	if (payload.tags !== undefined) {
+		const parsed = parseTags(payload.tags);
+		if (parsed.error) return parsed;
+		tags = parsed.tags;
+	}
+	if (payload.properties !== undefined) {
+		const parsed = parseCustomProperties(payload.properties, { allowNull: true });
+		if (parsed.error) return parsed;
+		changes.appProperties = { ...changes.appProperties, ...buildLabelProperties({ properties: parsed.properties }) };
+	}
+	const parentLists = {};
+	for (const field of ['addParents', 'removeParents']) {
+		const value = payload[field] ?? [];
+		if (!Array.isArray(value) || value.some((parent) => typeof parent !== 'string' || !parent)) {
+			return { error: `\`${field}\` must be an array of folder IDs` };
+		}
+		parentLists[field] = value;
+	}
+	if (parentLists.addParents.some((parent) => parentLists.removeParents.includes(parent))) {
+		return { error: 'The same folder cannot be in addParents and removeParents' };
+	}
+	return { changes, ...parentLists, tags };
+}
+
+// `tags` replaces the whole tag set, so the tags missing from it are removed from the file's current appProperties
+function applyTagPatch(patch, appProperties) {
+	if (!patch.tags) return patch;
+	const tagChanges = buildTagChanges(appProperties, patch.tags);
+	return { ...patch, changes: { ...patch.changes, appProperties: { ...patch.changes.appProperties, ...tagChanges } } };
+}
+
+// Metadata responses carry tags, custom properties and the expiry next to the raw appProperties
+function withLabels(meta) {
+	return { ...meta, ...readLabels(meta.appProperties), expiresAt: meta.appProperties?.[EXPIRES_AT_PROPERTY] || null };
+}
+
+// Uploads a new revision so the file keeps its ID and CDN URL. multipart/form-data replaces the
+// content directly; a JSON body opens a resumable session driven through /api/uploads/:sessionId.
+async function handleReplaceContent(request, url, id, drive, config, env, ctx, principal) {
+	const contentType = (request.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+	if (contentType !== 'multipart/form-data' && contentType !== 'application/json') {
+		return errorResponse(
+			'unsupported_media_type',
+			'Send multipart/form-data with a `file` field, or JSON to start a resumable upload',
+			415,
+		);
+	}
+	const meta = await drive.getMetadata(id);
+	if (!isParentAllowed(principal, meta.parents)) {
+		return folderForbidden(principal);
+	}
+	const keepRevisionForever = url.searchParams.get('keepForever') === 'true';
+	const fileUrl = buildFilesUrl(id, config, url.origin);
+
+	if (contentType === 'multipart/form-data') {
+		const formData = await request.formData();
+		const file = formData.get('file');
+		if (!(file instanceof File)) {
+			return errorResponse('invalid_request', '`file` form field missing', 400);
+		}
+		if (file.size > MAX_DIRECT_UPLOAD_BYTES) {
+			return errorResponse(
+				'payload_too_large',
+				`file exceeds ${MAX_DIRECT_UPLOAD_BYTES} bytes, send a JSON body to start a resumable upload`,
+				413,
+			);
+		}
+		const updated = await drive.updateContent(id, file, { mimeType: file.type || meta.mimeType, keepRevisionForever });
+		ctx.waitUntil(purgeCachedFile(env, fileUrl, id));
+		ctx.waitUntil(trackUpload(env, 'revision'));
+		return successResponse({ ...updated, rawUrl: fileUrl });
+	}
+
+	const store = env?.UPLOAD_SESSIONS;
+	if (!store) {
+		return uploadSessionsUnavailable();
+	}
+	let payload;
+	try {
+		payload = await request.json();
+	} catch (err) {
+		return errorResponse('invalid_request', 'body must be valid JSON', 400);
+	}
+	const session = await createRevisionUploadSession(drive, store, principal, meta, {
+		mimeType: payload?.mimeType || meta.mimeType,
+		size: Number.isInteger(payload?.size) && payload.size >= 0 ? payload.size : null,
+		keepRevisionForever,
 	});
+	return successResponse({ uploadSession: formatUploadSession(session, config, url.origin), fileId: id, rawUrl: fileUrl }, 201);
 }
 
-async function handleDashboardFiles(request, env, config, drive) {
-	const url = new URL(request.url);
-	const pageSizeParam = parseInt(url.searchParams.get('pageSize') || '', 10);
-	const pageSize = Number.isFinite(pageSizeParam) && pageSizeParam > 0 ? pageSizeParam : DEFAULT_FILE_PAGE_SIZE;
-	const pageToken = url.searchParams.get('pageToken') || undefined;
-	const search = url.searchParams.get('search') || '';
-	const type = (url.searchParams.get('type') || '').toLowerCase();
-	const [listResponse, counts] = await Promise.all([
-		drive.listFiles({ pageSize, pageToken, search, type }),
-		getFileCountsSnapshot(env, drive).catch(() => null),
-	]);
-	const files = (listResponse.files || []).map((file) => formatDriveFile(file, config, url.origin));
-	return successResponse({
-		files,
-		nextPageToken: listResponse.nextPageToken || null,
-		totalFiles: counts?.totalFiles ?? files.length,
-		folderCount: counts?.folderCount ?? 0,
-		pageSize,
-		query: {
-			search,
-			type: type || 'all',
-		},
+// Upload session for a new revision of `meta`; completing it keeps the file's ID and URL
+async function createRevisionUploadSession(drive, store, principal, meta, { mimeType, size, keepRevisionForever = false, ...fields }) {
+	const googleSession = await drive.createRevisionSession(meta.id, { mimeType, size, keepRevisionForever });
+	return createUploadSession(store, {
+		...fields,
+		owner: principal.id,
+		uploadUrl: googleSession.uploadUrl,
+		fileId: meta.id,
+		replaces: true,
+		name: meta.name,
+		mimeType,
+		size,
+		parents: meta.parents || null,
+		visibility: visibilityOf(meta),
 	});
 }
 
-async function getStats(env) {
-	if (!env?.STATS) {
-		return { totalUploads: 0, totalFileRequests: 0, totalDeletes: 0 };
+async function handleRevisions(url, id, drive, config, principal) {
+	const meta = await drive.getMetadata(id, 'id,parents');
+	if (!isParentAllowed(principal, meta.parents)) {
+		return folderForbidden(principal);
 	}
+	const pageSize = parseInt(url.searchParams.get('pageSize') || '', 10);
+	const listing = await drive.listRevisions(id, {
+		pageSize: Number.isFinite(pageSize) && pageSize > 0 ? pageSize : undefined,
+		pageToken: url.searchParams.get('pageToken') || undefined,
+	});
+	const fileUrl = buildFilesUrl(id, config, url.origin);
+	const revisions = (listing.revisions || []).map((revision) => ({ ...revision, rawUrl: `${fileUrl}?rev=${revision.id}` }));
+	return successResponse({ id, revisions, nextPageToken: listing.nextPageToken || null });
+}
+
+const BATCH_OPERATION_SCOPES = { get: 'files:read', delete: 'files:delete', move: 'files:write', update: 'files:write' };
+const MAX_BATCH_OPERATIONS = 500;
+const DRIVE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
 
+// Runs many get/delete/move/update operations through Drive's batch endpoint: one round of metadata
+// lookups for the scope checks, then one round of changes. Every operation gets its own result with
+// the status and error code the single-file endpoint would have returned.
+async function handleBatch(request, drive, config, env, ctx, origin, principal) {
+	let payload;
 	try {
-		const uploads = await env.STATS.get('total_uploads');
-		const fileRequests = await env.STATS.get('total_file_requests');
-		const deletes = await env.STATS.get('total_deletes');
+		payload = await request.json();
+	} catch (err) {
+		return errorResponse('invalid_request', 'body must be valid JSON', 400);
+	}
+	const operations = payload?.operations;
+	if (!Array.isArray(operations) || !operations.length) {
+		return errorResponse('invalid_request', '`operations` must be a non-empty array', 400);
+	}
+	if (operations.length > MAX_BATCH_OPERATIONS) {
+		return errorResponse('invalid_request', `At most ${MAX_BATCH_OPERATIONS} operations per batch`, 400);
+	}
+
+	const results = operations.map((operation, index) => ({ index, op: operation?.op ?? null, id: operation?.id ?? null }));
+	const fail = (item, code, message, status, details) => {
+		const error = { code, message };
+		if (details && Object.keys(details).length) error.details = details;
+		Object.assign(results[item.index], { status, error });
+	};
+	const failWithDriveError = (item, err) => {
+		const details = {};
+		if (err.reason) details.reason = err.reason;
+		if (err.upstreamStatus) details.upstreamStatus = err.upstreamStatus;
+		if (err.retryAfter) details.retryAfter = err.retryAfter;
+		fail(item, err.code, err.message, err.status, details);
+	};
+	const succeed = (item, data) => Object.assign(results[item.index], { status: 200, data });
+
+	const pending = [];
+	for (const [index, operation] of operations.entries()) {
+		const item = results[index];
+		const scope = Object.hasOwn(BATCH_OPERATION_SCOPES, item.op) ? BATCH_OPERATION_SCOPES[item.op] : null;
+		if (!scope) {
+			fail(item, 'invalid_request', `\`op\` must be one of ${Object.keys(BATCH_OPERATION_SCOPES).join(', ')}`, 400);
+			continue;
+		}
+		if (typeof item.id !== 'string' || !DRIVE_ID_PATTERN.test(item.id)) {
+			fail(item, 'invalid_request', '`id` must be a Drive file ID', 400);
+			continue;
+		}
+		if (!hasScope(principal, scope)) {
+			fail(item, 'forbidden', `Token is missing the \`${scope}\` scope`, 403);
+			continue;
+		}
+		if (item.op === 'move') {
+			if (typeof operation.parentId !== 'string' || !DRIVE_ID_PATTERN.test(operation.parentId)) {
+				fail(item, 'invalid_request', '`parentId` must be a Drive folder ID', 400);
+				continue;
+			}
+			pending.push({ item, parentId: operation.parentId });
+		} else if (item.op === 'update') {
+			const fields = { ...operation };
+			delete fields.op;
+			delete fields.id;
+			const parsed = parseMetadataPatch(fields);
+			if (parsed.error) {
+				fail(item, 'invalid_request', parsed.error, 400);
+				continue;
+			}
+			pending.push({ item, patch: parsed });
+		} else {
+			pending.push({ item });
+		}
+	}
+
+	const lookups = pending.length ? await drive.batchGetMetadata(pending.map(({ item }) => item.id)) : [];
+	const deletes = [];
+	const updates = [];
+	pending.forEach((entry, position) => {
+		const { item } = entry;
+		const { data: meta, error } = lookups[position];
+		if (error) {
+			failWithDriveError(item, error);
+			return;
+		}
+		if (!isParentAllowed(principal, meta.parents)) {
+			fail(item, 'forbidden', `Token is restricted to folder ${principal.parent}`, 403);
+			return;
+		}
+		if (item.op === 'get') {
+			succeed(item, { ...withLabels(meta), rawUrl: buildFilesUrl(meta.id, config, origin) });
+		} else if (item.op === 'delete') {
+			deletes.push({ item, meta });
+		} else {
+			// A move replaces every current parent with `parentId`
+			const patch = entry.patch
+				? applyTagPatch(entry.patch, meta.appProperties)
+				: {
+						changes: {},
+						addParents: (meta.parents || []).includes(entry.parentId) ? [] : [entry.parentId],
+						removeParents: (meta.parents || []).filter((parent) => parent !== entry.parentId),
+					};
+			if (!isParentChangeAllowed(principal, patch)) {
+				fail(item, 'forbidden', `Token is restricted to folder ${principal.parent}`, 403);
+				return;
+			}
+			updates.push({ item, meta, patch });
+		}
+	});
+
+	// Every changed file loses its cached copy; only deletes, renames and moves affect `/p/` paths
+	const changed = [];
+	const repathed = [];
+	if (deletes.length) {
+		const outcomes = await drive.batchDelete(deletes.map(({ item }) => item.id));
+		deletes.forEach(({ item, meta }, position) => {
+			if (outcomes[position].error) {
+				failWithDriveError(item, outcomes[position].error);
+				return;
+			}
+			succeed(item, { id: item.id, deleted: true });
+			changed.push(meta);
+			repathed.push(meta);
+		});
+	}
+	if (updates.length) {
+		const outcomes = await drive.batchUpdateMetadata(updates.map(({ item, patch }) => ({ id: item.id, ...patch })));
+		updates.forEach(({ item, patch }, position) => {
+			const { data: meta, error } = outcomes[position];
+			if (error) {
+				failWithDriveError(item, error);
+				return;
+			}
+			succeed(item, { ...withLabels(meta), rawUrl: buildFilesUrl(meta.id, config, origin) });
+			changed.push(meta);
+			if (patch.changes.name !== undefined || patch.addParents.length || patch.removeParents.length) {
+				repathed.push(meta);
+			}
+		});
+	}
+
+	for (const meta of changed) {
+		ctx.waitUntil(purgeCachedFile(env, buildFilesUrl(meta.id, config, origin), meta.id));
+	}
+	if (repathed.some(isFolder)) {
+		await invalidatePathCache(env?.STATS);
+	} else {
+		await Promise.all(repathed.map((meta) => forgetFilePath(env?.STATS, meta.id)));
+	}
+	const deleted = deletes.filter(({ item }) => results[item.index].status === 200).length;
+	ctx.waitUntil(trackDelete(env, deleted));
 
+	const succeeded = results.filter((result) => result.status === 200).length;
+	return successResponse({ results, succeeded, failed: results.length - succeeded });
+}
+
+async function handleDelete(id, drive, env, principal) {
+	const meta = await drive.getMetadata(id, 'id,parents,mimeType');
+	if (!isParentAllowed(principal, meta.parents)) {
+		return folderForbidden(principal);
+	}
+	await drive.deleteFile(id);
+	await forgetItemPaths(env, meta);
+	return successResponse({ id, deleted: true });
+}
+
+// Folder operations are confined to DRIVE_UPLOAD_ROOT, or to the token's folder for restricted tokens.
+// Returns `{ folder, isRoot }` or `{ response }` when the folder is missing from that scope.
+async function loadScopedFolder(drive, id, principal) {
+	const roots = await resolveFolderRoots(drive, principal?.parent ? [principal.parent] : drive.parents);
+	const folder = await drive.getMetadata(id, 'id,name,mimeType,parents,createdTime,modifiedTime,description,appProperties');
+	if (!isFolder(folder)) {
+		return { response: errorResponse('invalid_request', `${id} is not a folder`, 400) };
+	}
+	const location = await locateInRoots(drive, folder, roots);
+	if (location === 'outside') {
 		return {
-			totalUploads: parseInt(uploads || '0', 10),
-			totalFileRequests: parseInt(fileRequests || '0', 10),
-			totalDeletes: parseInt(deletes || '0', 10),
+			response: principal?.parent ? folderForbidden(principal) : errorResponse('forbidden', 'Folder is outside DRIVE_UPLOAD_ROOT', 403),
 		};
-	} catch (e) {
-		return { totalUploads: 0, totalFileRequests: 0, totalDeletes: 0 };
 	}
+	return { folder, isRoot: location === 'root' };
 }
 
-async function trackUpload(env, type) {
-	if (!env?.STATS) return;
-	try {
-		const key = 'total_uploads';
-		const current = await env.STATS.get(key);
-		await env.STATS.put(key, String(parseInt(current || '0', 10) + 1));
-	} catch (e) {
-		console.error('Failed to track upload:', e);
-	}
+function formatFolderItem(item, config, origin) {
+	return isFolder(item) ? item : { ...item, rawUrl: buildFilesUrl(item.id, config, origin) };
 }
 
-async function trackFileRequest(env, fileId) {
-	if (!env?.STATS) return;
+async function handleCreateFolder(request, drive, principal) {
+	let payload;
 	try {
-		const key = 'total_file_requests';
-		const current = await env.STATS.get(key);
-		await env.STATS.put(key, String(parseInt(current || '0', 10) + 1));
-	} catch (e) {
-		console.error('Failed to track file request:', e);
+		payload = await request.json();
+	} catch (err) {
+		return errorResponse('invalid_request', 'body must be valid JSON', 400);
+	}
+	const name = typeof payload?.name === 'string' ? payload.name.trim() : '';
+	if (!name) {
+		return errorResponse('invalid_request', '`name` is required', 400);
+	}
+	if (payload.description !== undefined && typeof payload.description !== 'string') {
+		return errorResponse('invalid_request', '`description` must be a string', 400);
 	}
+	const parentId = payload.parentId || principal?.parent || drive.parents[0] || 'root';
+	if (typeof parentId !== 'string') {
+		return errorResponse('invalid_request', '`parentId` must be a string', 400);
+	}
+	const scoped = await loadScopedFolder(drive, parentId, principal);
+	if (scoped.response) return scoped.response;
+	const folder = await drive.createFolder({ name, parents: [scoped.folder.id], description: payload.description });
+	return successResponse(folder, 201);
 }
 
-async function trackDelete(env) {
-	if (!env?.STATS) return;
-	try {
-		const key = 'total_deletes';
-		const current = await env.STATS.get(key);
-		await env.STATS.put(key, String(parseInt(current || '0', 10) + 1));
-	} catch (e) {
-		console.error('Failed to track delete:', e);
+async function handleListFolder(url, id, drive, config, principal) {
+	const scoped = await loadScopedFolder(drive, id, principal);
+	if (scoped.response) return scoped.response;
+	const pageSize = parseInt(url.searchParams.get('pageSize') || '', 10);
+	const page = await drive.listChildren(scoped.folder.id, {
+		pageSize: Number.isFinite(pageSize) && pageSize > 0 ? pageSize : undefined,
+		pageToken: url.searchParams.get('pageToken') || undefined,
+	});
+	return successResponse({
+		folder: scoped.folder,
+		items: (page.files || []).map((item) => formatFolderItem(item, config, url.origin)),
+		nextPageToken: page.nextPageToken || null,
+	});
+}
+
+async function handleFolderTree(url, id, drive, config, principal) {
+	const depthParam = parseInt(url.searchParams.get('depth') || '', 10);
+	const depth = Number.isFinite(depthParam) && depthParam > 0 ? Math.min(depthParam, MAX_TREE_DEPTH) : DEFAULT_TREE_DEPTH;
+	const scoped = await loadScopedFolder(drive, id, principal);
+	if (scoped.response) return scoped.response;
+	const { items, complete } = await listDescendants(drive, scoped.folder.id, { maxDepth: depth, maxItems: MAX_TREE_ITEMS });
+	const tree = buildFolderTree(scoped.folder, items, { maxDepth: depth, format: (item) => formatFolderItem(item, config, url.origin) });
+	return successResponse({ tree, depth, itemCount: items.length, truncated: !complete });
+}
+
+// Drive deletes a folder's contents along with it, so `recursive` only decides whether a non-empty
+// folder may go. Contained files are enumerated first so their cached copies can be purged.
+async function handleDeleteFolder(url, id, drive, config, env, ctx, principal) {
+	const scoped = await loadScopedFolder(drive, id, principal);
+	if (scoped.response) return scoped.response;
+	if (scoped.isRoot) {
+		return errorResponse('forbidden', 'The upload root cannot be deleted', 403);
+	}
+	const recursive = url.searchParams.get('recursive') === 'true';
+	if (!recursive) {
+		const page = await drive.listChildren(scoped.folder.id, { pageSize: 1 });
+		if (page.files?.length) {
+			return errorResponse('folder_not_empty', 'Folder is not empty; pass recursive=true to delete its contents too', 409);
+		}
+	}
+	const { items, complete } = recursive ? await listDescendants(drive, scoped.folder.id) : { items: [], complete: true };
+	await drive.deleteFile(scoped.folder.id);
+	await invalidatePathCache(env?.STATS);
+	const files = items.filter((item) => !isFolder(item));
+	for (const file of files) {
+		ctx.waitUntil(purgeCachedFile(env, buildFilesUrl(file.id, config, url.origin), file.id));
 	}
+	ctx.waitUntil(trackDelete(env, files.length));
+	// Past MAX_TREE_ITEMS the counts are a lower bound and uncounted cached copies expire on their own
+	return successResponse({
+		id: scoped.folder.id,
+		deleted: true,
+		recursive,
+		deletedFiles: files.length,
+		deletedFolders: items.length - files.length,
+		complete,
+	});
 }
 
-function isAuthorized(request, allowedTokens) {
-	const candidate = extractToken(request);
-	if (!candidate) return false;
-	const tokens = (allowedTokens || '')
-		.split(',')
-		.map((token) => token.trim())
-		.filter(Boolean);
-	return tokens.includes(candidate);
+async function handleAdminServiceAccounts(request, segments, drive) {
+	await drive.loadServiceAccounts();
+	const health = drive.health;
+	await health.load();
+	const email = segments[3] ? decodeURIComponent(segments[3]) : null;
+	const action = segments[4];
+
+	if (!email && request.method === 'GET') {
+		return successResponse({ accounts: health.describe(drive.serviceAccounts) });
+	}
+
+	if (email && (action === 'disable' || action === 'enable') && request.method === 'POST') {
+		const index = drive.serviceAccounts.findIndex((account) => account.client_email === email);
+		if (index === -1) {
+			return errorResponse('not_found', 'Service account not found', 404);
+		}
+		if (!health.store) {
+			return errorResponse('not_configured', 'Bind the STATS KV namespace to track service account health', 501);
+		}
+		await health.setDisabled(email, action === 'disable');
+		return successResponse(health.describe(drive.serviceAccounts)[index]);
+	}
+
+	return errorResponse('not_found', 'Endpoint not found', 404);
 }
 
-function extractToken(request) {
-	const header = request.headers.get('authorization');
-	if (header && header.toLowerCase().startsWith('bearer ')) {
-		return header.slice(7).trim();
+async function handleAdminMaintenance(env) {
+	if (!env?.STATS) {
+		return errorResponse('not_configured', 'Bind the STATS KV namespace to keep maintenance reports', 501);
 	}
-	return request.headers.get('x-api-key');
+	const report = await env.STATS.get(MAINTENANCE_REPORT_KEY, 'json');
+	if (!report) {
+		return errorResponse('not_found', 'No scheduled run has been recorded yet', 404);
+	}
+	return successResponse(report);
 }
 
-async function handleMultipartUpload(request, drive, config, env, origin) {
-	const formData = await request.formData();
-	const file = formData.get('file');
-	if (!(file instanceof File)) {
-		return errorResponse('invalid_request', '`file` form field missing', 400);
+async function handleAdminTokens(request, segments, env) {
+	const store = env?.API_KEYS;
+	if (!store) {
+		return errorResponse('not_configured', 'Bind the API_KEYS KV namespace to manage scoped tokens', 501);
 	}
-	if (file.size > MAX_DIRECT_UPLOAD_BYTES) {
-		return errorResponse('payload_too_large', `file exceeds ${MAX_DIRECT_UPLOAD_BYTES} bytes, use /api/uploads`, 413);
+	const tokenId = segments[3];
+	const action = segments[4];
+
+	if (!tokenId && request.method === 'GET') {
+		return successResponse({ tokens: await listApiTokens(store) });
 	}
-	const metadataRaw = formData.get('metadata');
-	let metadata = {};
-	if (metadataRaw) {
+
+	if (!tokenId && request.method === 'POST') {
+		let payload;
 		try {
-			metadata = JSON.parse(metadataRaw);
+			payload = await request.json();
 		} catch (err) {
-			return errorResponse('invalid_request', 'metadata must be valid JSON', 400);
+			return errorResponse('invalid_request', 'body must be valid JSON', 400);
+		}
+		const name = typeof payload?.name === 'string' ? payload.name.trim() : '';
+		if (!name) {
+			return errorResponse('invalid_request', '`name` is required', 400);
+		}
+		const scopes = Array.isArray(payload.scopes) ? [...new Set(payload.scopes)] : [];
+		if (!scopes.length || scopes.some((scope) => !TOKEN_SCOPES.includes(scope))) {
+			return errorResponse('invalid_request', `\`scopes\` must be a non-empty subset of ${TOKEN_SCOPES.join(', ')}`, 400);
+		}
+		let expiresAt = null;
+		if (payload.expiresAt) {
+			const parsed = Date.parse(payload.expiresAt);
+			if (Number.isNaN(parsed) || parsed <= Date.now()) {
+				return errorResponse('invalid_request', '`expiresAt` must be a future ISO timestamp', 400);
+			}
+			expiresAt = new Date(parsed).toISOString();
+		}
+		if (payload.parent !== undefined && payload.parent !== null && typeof payload.parent !== 'string') {
+			return errorResponse('invalid_request', '`parent` must be a folder ID', 400);
 		}
+		const created = await createApiToken(store, { name, scopes, expiresAt, parent: payload.parent || null });
+		return successResponse(created, 201);
 	}
-	const uploaded = await drive.uploadMultipart({ file, metadata });
-	return successResponse({ ...uploaded, rawUrl: buildFilesUrl(uploaded.id, config, origin) }, 201);
-}
 
-async function handleResumableInit(request, drive) {
-	const payload = await request.json();
-	if (!payload?.name) {
-		return errorResponse('invalid_request', '`name` is required', 400);
+	if (tokenId && action === 'rotate' && request.method === 'POST') {
+		const rotated = await rotateApiToken(store, tokenId);
+		if (!rotated) {
+			return errorResponse('not_found', 'Token not found', 404);
+		}
+		return successResponse(rotated);
 	}
-	const session = await drive.createResumableSession(payload);
-	return successResponse({ uploadSession: session }, 201);
-}
 
-async function handleMetadata(id, drive, config, origin) {
-	const meta = await drive.getMetadata(id);
-	return successResponse({ ...meta, rawUrl: buildFilesUrl(id, config, origin) });
-}
+	if (tokenId && !action && request.method === 'DELETE') {
+		const revoked = await revokeApiToken(store, tokenId);
+		if (!revoked) {
+			return errorResponse('not_found', 'Token not found', 404);
+		}
+		return successResponse({ id: tokenId, revoked: true });
+	}
 
-async function handleDelete(id, drive) {
-	await drive.deleteFile(id);
-	return successResponse({ id, deleted: true });
+	return errorResponse('not_found', 'Endpoint not found', 404);
 }
 
 function successResponse(data = null, status = 200, meta) {
@@ -540,20 +4195,29 @@ function successResponse(data = null, status = 200, meta) {
 	return json(payload, status);
 }
 
-function errorResponse(code, message, status = 400, details) {
+function errorResponse(code, message, status = 400, details, headers) {
 	const error = { code, message };
 	if (details && Object.keys(details).length) {
 		error.details = details;
 	}
-	return json({ status: 'error', error }, status);
+	return json({ status: 'error', error }, status, headers);
+}
+
+function driveErrorResponse(err) {
+	const details = {};
+	if (err.reason) details.reason = err.reason;
+	if (err.upstreamStatus) details.upstreamStatus = err.upstreamStatus;
+	const headers = err.retryAfter ? { 'Retry-After': String(err.retryAfter) } : undefined;
+	return errorResponse(err.code, err.message, err.status, details, headers);
 }
 
-function json(body, status = 200) {
+function json(body, status = 200, headers = {}) {
 	return new Response(JSON.stringify(body), {
 		status,
 		headers: {
 			'Content-Type': 'application/json; charset=utf-8',
 			...corsHeaders,
+			...headers,
 		},
 	});
 }
@@ -583,7 +4247,17 @@ async function withDefaults(env = {}) {
 				key === 'API_TOKENS' ||
 				key === 'CDN_BASE_URL' ||
 				key.startsWith('DASHBOARD_') ||
-				key === 'DRIVE_PROFILES'
+				key === 'DRIVE_PROFILES' ||
+				key.startsWith('DRIVE_RETRY_') ||
+				key === 'DRIVE_REQUEST_TIMEOUT_MS' ||
+				key.startsWith('EDGE_CACHE_') ||
+				key === 'URL_SIGNING_SECRET' ||
+				key.startsWith('SIGNED_URL_') ||
+				key.startsWith('RATE_LIMIT_') ||
+				key === 'ACCESS_RULES' ||
+				key === 'TOKEN_CACHE_SECRET' ||
+				key.startsWith('IMPORT_') ||
+				key === 'RETENTION_RULES'
 			) {
 				config[key] = env[key];
 			}
@@ -680,17 +4354,18 @@ function applyAssetPlaceholders(template, assets) {
 	return template.replace(/__DASHBOARD_CSS_URL__/g, assets.cssUrl).replace(/__DASHBOARD_JS_URL__/g, assets.jsUrl);
 }
 
-async function getFileCountsSnapshot(env, drive) {
+// `refresh` skips the cached snapshot, for the scheduled handler
+async function getFileCountsSnapshot(env, drive, { refresh = false } = {}) {
 	if (!drive) {
 		return { totalFiles: 0, folderCount: 0, cached: false };
 	}
 	const now = Date.now();
-	if (env?.STATS) {
+	if (env?.STATS && !refresh) {
 		try {
 			const cached = await env.STATS.get(FILE_COUNT_CACHE_KEY);
 			if (cached) {
 				const parsed = JSON.parse(cached);
-				if (parsed?.timestamp && now - parsed.timestamp < FILE_COUNT_CACHE_TTL_MS) {
+				if (parsed?.timestamp && now - parsed.timestamp < SNAPSHOT_CACHE_TTL_MS) {
 					return { ...parsed, cached: true };
 				}
 			}
@@ -698,10 +4373,15 @@ async function getFileCountsSnapshot(env, drive) {
 			console.warn('Failed to parse cached file counts:', error);
 		}
 	}
-	const counts = await drive.countFiles();
+	const counts = await drive.countFiles({ tagPrefix: TAG_PROPERTY_PREFIX });
 	const payload = {
 		totalFiles: counts.totalFiles,
 		folderCount: counts.folderCount,
+		// Most used first, for the dashboard's tag pills
+		tags: Object.entries(counts.tags)
+			.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+			.slice(0, MAX_DASHBOARD_TAGS)
+			.map(([name, count]) => ({ name, count })),
 		complete: counts.complete,
 		timestamp: now,
 		cached: false,
@@ -712,6 +4392,26 @@ async function getFileCountsSnapshot(env, drive) {
 	return payload;
 }
 
+// Drive's `about` response, cached like the file counts
+async function getStorageQuotaSnapshot(env, drive, { refresh = false } = {}) {
+	const now = Date.now();
+	if (env?.STATS && !refresh) {
+		try {
+			const cached = await env.STATS.get(STORAGE_QUOTA_CACHE_KEY, 'json');
+			if (cached?.timestamp && now - cached.timestamp < SNAPSHOT_CACHE_TTL_MS) {
+				return cached;
+			}
+		} catch (error) {
+			console.warn('Failed to parse cached storage quota:', error);
+		}
+	}
+	const payload = { ...(await drive.getDriveStorageInfo()), timestamp: now };
+	if (env?.STATS) {
+		await env.STATS.put(STORAGE_QUOTA_CACHE_KEY, JSON.stringify(payload));
+	}
+	return payload;
+}
+
 function formatStorageQuota(storageResponse) {
 	const quota = storageResponse?.storageQuota;
 	if (!quota) {
@@ -759,6 +4459,7 @@ function formatDriveFile(file, config, origin) {
 		cdnUrl,
 		downloadUrl: cdnUrl,
 		md5Checksum: file.md5Checksum || null,
+		...readLabels(file.appProperties),
 	};
 }
 
@@ -1,8 +1,8 @@
 #!/usr/bin/env node
 
+import crypto from 'node:crypto';
 import fs from 'node:fs';
 import path from 'node:path';
-import { PassThrough } from 'node:stream';
 
 /**
  * Quick configuration section
@@ -16,6 +16,7 @@ const CONFIG = {
 	filePath: path.resolve('./big.mp4'),
 	fileName: null,
 	mimeType: null,
+	chunkSize: 8 * 1024 * 1024, // must be a multiple of 256 KiB
 };
 
 if (!CONFIG.apiToken || CONFIG.apiToken === 'REPLACE_WITH_API_TOKEN') {
@@ -40,26 +41,33 @@ if (!CONFIG.apiToken || CONFIG.apiToken === 'REPLACE_WITH_API_TOKEN') {
 				size: stat.size,
 			},
 		});
-		console.log('   Upload URL received.');
+		console.log(`   Session ${session.sessionId} created.`);
 
-		console.log('2) Uploading bytes to Google Drive...');
+		console.log('2) Uploading bytes through the worker...');
 		const uploadResult = await uploadFile({
 			uploadUrl: session.uploadUrl,
+			token: CONFIG.apiToken,
 			filePath: CONFIG.filePath,
 			size: stat.size,
-			mimeType,
+			chunkSize: CONFIG.chunkSize,
 		});
 
+		console.log(`   Drive reports file ${uploadResult.file?.id}.`);
+
+		console.log('3) Verifying the upload...');
+		const md5 = await fileMd5(CONFIG.filePath);
+		const verified = await completeUpload({
+			url: CONFIG.workerUrl,
+			token: CONFIG.apiToken,
+			sessionId: session.sessionId,
+			md5,
+			size: stat.size,
+		});
+		console.log(`   Size ${formatBytes(Number(verified.size))} and md5 ${verified.md5Checksum} match the local file.`);
+
 		console.log('\nUpload complete!');
-		if (uploadResult?.fileInfo) {
-			console.log('File metadata from Google:');
-			console.log(JSON.stringify(uploadResult.fileInfo, null, 2));
-		} else if (session?.fileId) {
-			console.log(`Use this ID with your worker to fetch metadata: ${session.fileId}`);
-			console.log(`curl -H "Authorization: Bearer ${CONFIG.apiToken}" ${CONFIG.workerUrl}/api/files/${session.fileId}`);
-		} else {
-			console.log('Run `curl -H "Authorization: Bearer <token>" https://your-worker/api/files/<FILE_ID>` to inspect metadata.');
-		}
+		console.log('File metadata:');
+		console.log(JSON.stringify(verified, null, 2));
 	} catch (error) {
 		console.error('Upload failed:', error.message);
 		process.exit(1);
@@ -85,71 +93,85 @@ async function createSession({ url, token, file }) {
 	}
 	const payload = await response.json();
 	const uploadSession = payload?.data?.uploadSession;
-	const uploadUrl = uploadSession?.uploadUrl;
-	if (!uploadUrl) {
+	if (!uploadSession?.uploadUrl) {
 		throw new Error('Worker response missing uploadSession.uploadUrl');
 	}
-	return { uploadUrl, fileId: payload?.data?.uploadSession?.fileId };
+	return uploadSession;
 }
 
-async function uploadFile({ uploadUrl, filePath, size, mimeType }) {
-	return new Promise((resolve, reject) => {
-		const source = fs.createReadStream(filePath);
-		const progressStream = new PassThrough();
-		let uploaded = 0;
-		const logInterval = Math.max(Math.floor(size / 20), 1); // log ~20 times per file
-
-		source.on('data', (chunk) => {
-			uploaded += chunk.length;
-			if (uploaded === chunk.length || uploaded % logInterval < chunk.length) {
-				const pct = ((uploaded / size) * 100).toFixed(1);
-				process.stdout.write(`\r   Uploaded ${formatBytes(uploaded)} / ${formatBytes(size)} (${pct}%)`);
+async function uploadFile({ uploadUrl, token, filePath, size, chunkSize }) {
+	const handle = await fs.promises.open(filePath, 'r');
+	try {
+		let offset = await committedOffset(uploadUrl, token);
+		while (offset < size) {
+			const length = Math.min(chunkSize, size - offset);
+			const chunk = Buffer.alloc(length);
+			await handle.read(chunk, 0, length, offset);
+			const response = await fetch(uploadUrl, {
+				method: 'PUT',
+				headers: {
+					Authorization: `Bearer ${token}`,
+					'Content-Range': `bytes ${offset}-${offset + length - 1}/${size}`,
+				},
+				body: chunk,
+			});
+			const payload = await response.json().catch(() => null);
+			if (response.status === 201) {
+				process.stdout.write(`\r   Uploaded ${formatBytes(size)} / ${formatBytes(size)} (100.0%)\n`);
+				return payload.data;
 			}
-		});
-		source.on('error', reject);
+			if (response.status === 308) {
+				offset = payload.data.offset;
+			} else if (response.status === 409 && payload?.error?.code === 'offset_mismatch') {
+				offset = payload.error.details.offset;
+			} else {
+				throw new Error(`Chunk upload failed: ${response.status} ${JSON.stringify(payload)}`);
+			}
+			const pct = ((offset / size) * 100).toFixed(1);
+			process.stdout.write(`\r   Uploaded ${formatBytes(offset)} / ${formatBytes(size)} (${pct}%)`);
+		}
+		throw new Error('Worker never reported the upload as complete');
+	} finally {
+		await handle.close();
+	}
+}
 
-		const controller = new AbortController();
+// Verifies size and md5 on Drive and counts the upload in the worker's stats
+async function completeUpload({ url, token, sessionId, md5, size }) {
+	const response = await fetch(`${url.replace(/\/$/, '')}/api/uploads/${sessionId}/complete`, {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json',
+			Authorization: `Bearer ${token}`,
+		},
+		body: JSON.stringify({ md5, size }),
+	});
+	const payload = await response.json().catch(() => null);
+	if (response.status === 422) {
+		throw new Error(`Verification failed: ${JSON.stringify(payload?.error?.details)}`);
+	}
+	if (!response.ok) {
+		throw new Error(`Failed to complete upload: ${response.status} ${JSON.stringify(payload)}`);
+	}
+	return payload.data;
+}
 
-		fetch(uploadUrl, {
-			method: 'PUT',
-			headers: {
-				'Content-Type': mimeType || 'application/octet-stream',
-				'Content-Length': size.toString(),
-			},
-			duplex: 'half',
-			body: progressStream,
-			signal: controller.signal,
-		})
-			.then(async (response) => {
-				if (response.status >= 200 && response.status < 300) {
-					const text = await response.text();
-					let fileInfo = null;
-					if (text) {
-						try {
-							fileInfo = JSON.parse(text);
-						} catch (err) {
-							console.warn('Could not parse Google response JSON:', err.message);
-						}
-					}
-					process.stdout.write('\r   Upload complete.                                   \n');
-					resolve({ fileInfo });
-					return;
-				}
-				if (response.status === 308) {
-					process.stdout.write('\r   Upload chunk accepted (308).                      \n');
-					resolve();
-					return;
-				}
-				const text = await response.text();
-				throw new Error(`Upload failed: ${response.status} ${text}`);
-			})
-			.catch((err) => {
-				controller.abort();
-				reject(err);
-			});
+async function fileMd5(filePath) {
+	const hash = crypto.createHash('md5');
+	for await (const chunk of fs.createReadStream(filePath)) {
+		hash.update(chunk);
+	}
+	return hash.digest('hex');
+}
 
-		source.pipe(progressStream);
-	});
+// Lets the script resume a session after an interruption
+async function committedOffset(uploadUrl, token) {
+	const response = await fetch(uploadUrl, { headers: { Authorization: `Bearer ${token}` } });
+	if (!response.ok) {
+		throw new Error(`Failed to read upload status: ${response.status} ${await response.text()}`);
+	}
+	const payload = await response.json();
+	return payload.data.offset || 0;
 }
 
 function guessMimeType(filePath) {